@@ -0,0 +1,110 @@
+// Compares route lookup throughput of the trie-based Router against the
+// linear regex scan it replaced.
+//
+// Usage: node benchmarks/router.js [routeCount] [iterations]
+
+const Router = require("../router.js");
+
+const routeCount = parseInt(process.argv[2], 10) || 300;
+const iterations = parseInt(process.argv[3], 10) || 200000;
+
+// The previous matcher: one regex per route, tried in registration order
+class LinearRouter {
+	constructor() {
+		this.routes = new Map();
+	}
+
+	add(method, path, handler) {
+		this.routes.set(`${method}:${path}`, {
+			handler,
+			params: (path.match(/:(\w+)/g) || []).map((p) => p.slice(1)),
+			regex: new RegExp(
+				`^${path
+					.replace(/\/:(\w+)/g, "/([^/]+)")
+					.replace(/\*/g, ".*")}$`
+			),
+		});
+	}
+
+	match(method, urlPath) {
+		const exactKey = `${method}:${urlPath}`;
+		if (this.routes.has(exactKey)) {
+			return { handler: this.routes.get(exactKey).handler, params: {} };
+		}
+
+		for (const [key, route] of this.routes) {
+			const [routeMethod] = key.split(":");
+			if (routeMethod !== method) continue;
+
+			const match = urlPath.match(route.regex);
+			if (match) {
+				const params = {};
+				route.params.forEach((param, index) => {
+					params[param] = match[index + 1];
+				});
+				return { handler: route.handler, params };
+			}
+		}
+
+		return null;
+	}
+}
+
+function buildRoutes(count) {
+	const methods = ["GET", "POST", "PUT", "DELETE"];
+	const routes = [];
+
+	for (let i = 0; routes.length < count; i++) {
+		const method = methods[i % methods.length];
+		routes.push([method, `/api/resource${i}`]);
+		routes.push([method, `/api/resource${i}/:id`]);
+		routes.push([method, `/api/resource${i}/:id/items/:itemId`]);
+	}
+
+	return routes.slice(0, count);
+}
+
+function bench(name, router, lookups) {
+	// Warm up so both matchers are optimized before timing
+	for (let i = 0; i < 10000; i++) {
+		const [method, path] = lookups[i % lookups.length];
+		router.match(method, path);
+	}
+
+	const start = process.hrtime.bigint();
+	for (let i = 0; i < iterations; i++) {
+		const [method, path] = lookups[i % lookups.length];
+		if (!router.match(method, path)) {
+			throw new Error(`${name}: no match for ${method} ${path}`);
+		}
+	}
+	const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+	const opsPerSec = Math.round(iterations / (elapsedMs / 1000));
+
+	console.log(
+		`${name.padEnd(8)} ${opsPerSec.toLocaleString().padStart(12)} ops/sec  (${elapsedMs.toFixed(1)}ms)`
+	);
+	return opsPerSec;
+}
+
+const routes = buildRoutes(routeCount);
+const trie = new Router();
+const linear = new LinearRouter();
+
+routes.forEach(([method, path]) => {
+	trie.add(method, path, () => {});
+	linear.add(method, path, () => {});
+});
+
+// Spread lookups over the whole table so late routes count as much as early
+const lookups = routes.map(([method, path]) => [
+	method,
+	path.replace(":id", "42").replace(":itemId", "7"),
+]);
+
+console.log(
+	`${routeCount} routes, ${iterations.toLocaleString()} lookups, Node ${process.version}`
+);
+const linearOps = bench("linear", linear, lookups);
+const trieOps = bench("trie", trie, lookups);
+console.log(`trie is ${(trieOps / linearOps).toFixed(1)}x faster`);
@@ -1,28 +1,273 @@
 const url = require("url");
+const crypto = require("crypto");
+const cluster = require("cluster");
+const jwt = require("./utils/jwt.js");
+const {
+	parseCookies,
+	getClientIP,
+	getBodyType,
+	parseMultipartBody,
+} = require("./utils/request-parser.js");
+const { removeUploads } = require("./utils/multipart-parser.js");
+const ResponseHelper = require("./utils/response-helper.js");
+const { MemoryStore } = require("./utils/session-store.js");
+const { validateSchema } = require("./utils/schema.js");
+const rateLimitStore = require("./utils/rate-limit-store.js");
+const { negotiateEncoding, appendVary } = require("./utils/negotiate.js");
+const RotatingFileStream = require("./utils/rotating-file-stream.js");
+const { WorkerFileStream } = RotatingFileStream;
+const { countResponseBytes } = require("./utils/response-size.js");
+const { registry } = require("./utils/metrics.js");
+const {
+	BadRequest,
+	Unauthorized,
+	TooManyRequests,
+} = require("./utils/http-error.js");
+
+// Access logging middleware. Gives every request an ID (req.id, echoed in
+// X-Request-Id) and a req.log for application logs tagged with it, then
+// writes one entry per response. Can be used as is, with the defaults, or
+// configured with logger(options).
+//
+// Options:
+//   format          "json" (default), "combined", "common", "dev" (one short
+//                   line) or (entry) => string
+//   level           minimum level written: "debug", "info" (default), "warn"
+//                   or "error"; responses log as error for 5xx, warn for 4xx
+//   redactHeaders   header names whose values are masked
+//   redactQuery     query parameter names whose values are masked
+//   logHeaders      include the (redacted) request headers in JSON entries
+//   requestIdHeader default "X-Request-Id"; an incoming ID is kept if it
+//                   looks sane, otherwise a new one is generated
+//   stdout          also write to stdout, default true
+//   file            { path, maxSize, maxFiles, interval } for a rotating log
+//                   file, see utils/rotating-file-stream.js
+//   streams         extra writable streams to log to
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = "[REDACTED]";
+
+// How long a failed log file is left alone before it's reopened
+const LOG_RETRY_MS = 30 * 1000;
+
+// Cluster workers hand their lines to the primary, which owns the file
+function openLogFile({ path: filePath, ...options }) {
+	return cluster.isWorker
+		? new WorkerFileStream(filePath, options)
+		: new RotatingFileStream(filePath, options);
+}
 
-// Logger middleware
-function logger(req, res) {
-	const startTime = Date.now();
-	const { method, url: reqUrl } = req;
-
-	// Listen for response finish to log completion
-	res.on("finish", () => {
-		const duration = Date.now() - startTime;
-		console.log(
-			`[${new Date().toISOString()}] ${method} ${reqUrl} - ${
-				res.statusCode
-			} - ${duration}ms`
-		);
-	});
+const MONTHS = "Jan Feb Mar Apr May Jun Jul Aug Sep Oct Nov Dec".split(" ");
+
+// Common Log Format timestamp, e.g. 10/Oct/2000:13:55:36 +0000
+function clfDate(date) {
+	const pad = (number) => String(number).padStart(2, "0");
+	return (
+		`${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/` +
+		`${date.getUTCFullYear()}:${pad(date.getUTCHours())}:` +
+		`${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`
+	);
+}
+
+const logFormats = {
+	json: (entry) => JSON.stringify(entry),
+
+	common: (entry) =>
+		`${entry.ip || "-"} - ${entry.userId || "-"} ` +
+		`[${clfDate(new Date(entry.time))}] ` +
+		`"${entry.method} ${entry.url} HTTP/${entry.httpVersion}" ` +
+		`${entry.status} ${entry.bytes || "-"}`,
+
+	combined: (entry) =>
+		`${logFormats.common(entry)} "${entry.referer || "-"}" ` +
+		`"${entry.userAgent || "-"}"`,
+
+	dev: (entry) =>
+		`[${entry.time}] ${entry.method} ${entry.url} - ${entry.status} - ` +
+		`${entry.durationMs}ms`,
+};
+
+function redactUrl(requestUrl, names) {
+	const queryStart = requestUrl.indexOf("?");
+	if (queryStart === -1) return requestUrl;
+
+	const params = new URLSearchParams(requestUrl.slice(queryStart + 1));
+	let changed = false;
+	for (const key of new Set(params.keys())) {
+		if (names.has(key.toLowerCase())) {
+			params.set(key, REDACTED);
+			changed = true;
+		}
+	}
+
+	return changed
+		? `${requestUrl.slice(0, queryStart)}?${params.toString()}`
+		: requestUrl;
+}
+
+function logger(options = {}) {
+	// Used directly as app.use(logger)
+	if (typeof arguments[2] === "function") {
+		return defaultLogger(...arguments);
+	}
+
+	const config = {
+		format: "json",
+		level: "info",
+		redactHeaders: ["authorization", "cookie", "set-cookie", "x-api-key"],
+		redactQuery: ["token", "access_token", "api_key", "password", "secret"],
+		logHeaders: false,
+		requestIdHeader: "X-Request-Id",
+		stdout: true,
+		streams: [],
+		...options,
+	};
+
+	const format =
+		typeof config.format === "function"
+			? config.format
+			: logFormats[config.format];
+	if (!format) {
+		throw new Error(`Unknown log format "${config.format}"`);
+	}
+
+	const minLevel = LOG_LEVELS[config.level];
+	const lowerCase = (names) => new Set(names.map((n) => n.toLowerCase()));
+	const redactHeaders = lowerCase(config.redactHeaders);
+	const redactQuery = lowerCase(config.redactQuery);
+	const idHeader = config.requestIdHeader.toLowerCase();
+
+	const streams = [...config.streams];
+	if (config.file) streams.push(openLogFile(config.file));
+	if (config.stdout) streams.push(process.stdout);
+
+	// A log stream that fails (EACCES, ENOSPC, ...) is reported and dropped
+	// rather than crashing the server. The log file is reopened a little
+	// later; extra streams stay dropped.
+	function watch(stream) {
+		stream.on("error", (error) => {
+			const index = streams.indexOf(stream);
+			if (index === -1) return;
+
+			streams.splice(index, 1);
+			console.error("Log stream failed, dropping its writes:", error.message);
+			if (stream instanceof RotatingFileStream) reopenLater(index);
+		});
+	}
+
+	function reopenLater(index) {
+		setTimeout(() => {
+			try {
+				const stream = openLogFile(config.file);
+				watch(stream);
+				streams.splice(index, 0, stream);
+			} catch (error) {
+				console.error("Could not reopen the log file:", error.message);
+				reopenLater(index);
+			}
+		}, LOG_RETRY_MS).unref();
+	}
+	streams.filter((stream) => stream !== process.stdout).forEach(watch);
+
+	function write(level, line) {
+		if (LOG_LEVELS[level] < minLevel) return;
+		streams.forEach((stream) => stream.write(line + "\n"));
+	}
+
+	function redactedHeaders(headers) {
+		const result = {};
+		for (const [name, value] of Object.entries(headers)) {
+			result[name] = redactHeaders.has(name) ? REDACTED : value;
+		}
+		return result;
+	}
+
+	return function (req, res, next) {
+		const startTime = process.hrtime.bigint();
+
+		// Keep an upstream proxy's ID so logs line up across services
+		const incomingId = req.headers[idHeader];
+		req.id = /^[\w.:-]{1,128}$/.test(incomingId || "")
+			? incomingId
+			: crypto.randomUUID();
+		res.setHeader(config.requestIdHeader, req.id);
+
+		// Application logs tied to this request, always as JSON
+		req.log = {};
+		Object.keys(LOG_LEVELS).forEach((level) => {
+			req.log[level] = (msg, fields = {}) =>
+				write(
+					level,
+					JSON.stringify({
+						time: new Date().toISOString(),
+						level,
+						requestId: req.id,
+						msg,
+						...fields,
+					})
+				);
+		});
+
+		const bytesSent = countResponseBytes(res);
+
+		let logged = false;
+		const logResponse = () => {
+			if (logged) return;
+			logged = true;
+
+			const status = res.statusCode;
+			const level =
+				status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+			const duration = Number(process.hrtime.bigint() - startTime) / 1e6;
+			const user = req.user || {};
+
+			const entry = {
+				time: new Date().toISOString(),
+				level,
+				msg: "request completed",
+				requestId: req.id,
+				method: req.method,
+				url: redactUrl(req.url, redactQuery),
+				httpVersion: req.httpVersion,
+				status,
+				durationMs: Math.round(duration * 100) / 100,
+				bytes: bytesSent(),
+				ip: getClientIP(req),
+				userAgent: req.headers["user-agent"],
+				referer: req.headers.referer,
+				userId: user.id !== undefined ? user.id : user.sub,
+			};
+			if (!res.writableFinished) {
+				entry.msg = "request aborted";
+				entry.aborted = true;
+			}
+			if (config.logHeaders) entry.headers = redactedHeaders(req.headers);
 
-	return true;
+			write(level, format(entry));
+		};
+
+		res.on("finish", logResponse);
+		res.on("close", logResponse);
+
+		return next();
+	};
 }
 
+const defaultLogger = logger({});
+
 // CORS middleware factory
 function cors(options = {}) {
 	const defaults = {
 		origin: "*",
-		methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+		methods: [
+			"GET",
+			"HEAD",
+			"POST",
+			"PUT",
+			"PATCH",
+			"DELETE",
+			"OPTIONS",
+		],
 		headers: ["Content-Type", "Authorization"],
 		credentials: false,
 		maxAge: 86400, // 24 hours
@@ -30,9 +275,12 @@ function cors(options = {}) {
 
 	const config = { ...defaults, ...options };
 
-	return function (req, res) {
-		// Handle preflight requests
-		if (req.method === "OPTIONS") {
+	return function (req, res, next) {
+		// Handle preflight requests; plain OPTIONS goes on to the router
+		if (
+			req.method === "OPTIONS" &&
+			req.headers["access-control-request-method"]
+		) {
 			res.writeHead(204, {
 				"Access-Control-Allow-Origin": config.origin,
 				"Access-Control-Allow-Methods": config.methods.join(", "),
@@ -43,7 +291,7 @@ function cors(options = {}) {
 				}),
 			});
 			res.end();
-			return false; // Stop further processing
+			return; // Stop further processing
 		}
 
 		// Add CORS headers to all responses
@@ -52,200 +300,650 @@ function cors(options = {}) {
 			res.setHeader("Access-Control-Allow-Credentials", "true");
 		}
 
-		return true;
+		return next();
 	};
 }
 
-// Authentication middleware
-function authenticate() {
-	return function (req, res) {
+// Authentication middleware. Verifies a Bearer JWT and sets req.user.
+//
+// Options:
+//   secret         HS256 secret (defaults to process.env.JWT_SECRET)
+//   keys           { [kid]: key } for key rotation; takes precedence
+//   getKey         async (header) => key, e.g. to look keys up remotely
+//   algorithms     accepted algorithms, default ["HS256"]
+//   issuer, audience, clockTolerance (seconds)
+//   loadUser       async (payload, req) => user; a falsy result is a 401
+//   realm          realm reported in WWW-Authenticate
+function authenticate(options = {}) {
+	const config = {
+		secret: process.env.JWT_SECRET,
+		algorithms: ["HS256"],
+		clockTolerance: 0,
+		loadUser: (payload) => payload,
+		realm: "api",
+		...options,
+	};
+
+	if (!config.secret && !config.keys && !config.getKey) {
+		throw new Error("authenticate() needs a secret, keys or getKey");
+	}
+
+	const descriptions = {
+		token_missing: "Authentication required",
+		token_malformed: "Malformed token",
+		invalid_signature: "Invalid token signature",
+		token_expired: "Token expired",
+		token_not_active: "Token not yet valid",
+		invalid_claims: "Token claims rejected",
+		user_not_found: "Unknown user",
+	};
+
+	function unauthorized(code) {
+		// RFC 6750: no error attribute when credentials were simply missing
+		let challenge = `Bearer realm="${config.realm}"`;
+		if (code !== "token_missing") {
+			challenge += `, error="invalid_token", error_description="${descriptions[code]}"`;
+		}
+
+		return new Unauthorized(descriptions[code], {
+			headers: { "WWW-Authenticate": challenge },
+			details: { code },
+		});
+	}
+
+	return async function (req, res, next) {
 		const authHeader = req.headers.authorization;
 
 		if (!authHeader || !authHeader.startsWith("Bearer ")) {
-			res.writeHead(401, { "Content-Type": "application/json" });
-			res.end(JSON.stringify({ error: "Unauthorized" }));
-			return false;
+			return next(unauthorized("token_missing"));
 		}
 
-		const token = authHeader.split(" ")[1];
-		// In a real app, validate the token here
-		req.user = { id: 1, token }; // Mock user
+		const token = authHeader.slice("Bearer ".length).trim();
+		let payload;
+
+		try {
+			const key = config.getKey
+				? await config.getKey(jwt.decode(token).header)
+				: config.keys || config.secret;
+
+			payload = jwt.verify(token, key, config);
+		} catch (error) {
+			if (error instanceof jwt.TokenError) {
+				return next(unauthorized(error.code));
+			}
+			throw error;
+		}
 
-		return true;
+		const user = await config.loadUser(payload, req);
+		if (!user) {
+			return next(unauthorized("user_not_found"));
+		}
+
+		req.user = user;
+		req.token = token;
+		req.auth = payload;
+
+		return next();
 	};
 }
 
-// Rate limiting middleware
-function rateLimit(maxRequests = 100, windowMs = 60000) {
-	const requests = new Map();
+// Session middleware. Exposes req.session, saved to the store at the end
+// of the response whenever its data changed.
+//
+// Options:
+//   secret             signs the session cookie (defaults to
+//                      process.env.SESSION_SECRET); pass an array to rotate,
+//                      the first entry signs and all of them verify
+//   store              a SessionStore, default a MemoryStore
+//   name               cookie name, default "sid"
+//   maxAge             session lifetime in ms, default one day
+//   rolling            restart maxAge on every response
+//   saveUninitialized  store new sessions even if nothing was set
+//   cookie             extra ResponseHelper.setCookie options
+function session(options = {}) {
+	const config = {
+		secret: process.env.SESSION_SECRET,
+		store: new MemoryStore(),
+		name: "sid",
+		maxAge: 24 * 60 * 60 * 1000, // 1 day
+		rolling: false,
+		saveUninitialized: false,
+		cookie: {},
+		...options,
+	};
 
-	setInterval(() => {
-		const now = Date.now();
-		for (const [ip, timestamps] of requests) {
-			const validTimestamps = timestamps.filter(
-				(time) => now - time < windowMs
+	const secrets = [].concat(config.secret || []);
+	if (secrets.length === 0) {
+		throw new Error("session() needs a secret");
+	}
+
+	function signId(id, secret = secrets[0]) {
+		const signature = crypto
+			.createHmac("sha256", secret)
+			.update(id)
+			.digest("base64url");
+		return `${id}.${signature}`;
+	}
+
+	// Returns the ID if any secret produced the signature, else null
+	function unsignId(value) {
+		const id = value.slice(0, value.lastIndexOf("."));
+		const candidate = Buffer.from(value);
+
+		const valid = secrets.some((secret) => {
+			const expected = Buffer.from(signId(id, secret));
+			return (
+				expected.length === candidate.length &&
+				crypto.timingSafeEqual(expected, candidate)
 			);
-			if (validTimestamps.length === 0) {
-				requests.delete(ip);
+		});
+		return valid && id ? id : null;
+	}
+
+	const generateId = () => crypto.randomBytes(24).toString("base64url");
+
+	return async function (req, res, next) {
+		const { store } = config;
+		const cookieValue = parseCookies(req.headers.cookie)[config.name];
+		const existingId = cookieValue ? unsignId(cookieValue) : null;
+		const record = existingId ? await store.get(existingId) : null;
+
+		// Per-request state the response hooks below act on
+		const state = {
+			id: record ? existingId : generateId(),
+			isNew: !record,
+			expires: record ? record.expires : Date.now() + config.maxAge,
+			snapshot: JSON.stringify(record ? record.data : {}),
+			regenerated: false,
+			destroyed: false,
+		};
+
+		function createSession(data) {
+			const sess = Object.assign(Object.create(sessionMethods), data);
+			Object.defineProperty(sess, "id", {
+				get: () => state.id,
+			});
+			return sess;
+		}
+
+		const sessionMethods = {
+			// New ID with the same data, to prevent fixation after login
+			async regenerate() {
+				if (!state.isNew) await store.destroy(state.id);
+				state.id = generateId();
+				state.isNew = true;
+				state.regenerated = true;
+				state.expires = Date.now() + config.maxAge;
+			},
+
+			async destroy() {
+				await store.destroy(state.id);
+				state.destroyed = true;
+				req.session = null;
+			},
+
+			async save() {
+				await store.set(state.id, {
+					data: { ...req.session },
+					expires: state.expires,
+				});
+				state.snapshot = JSON.stringify(req.session);
+				state.isNew = false;
+			},
+		};
+
+		req.session = createSession(record ? record.data : {});
+
+		const isModified = () =>
+			req.session !== null &&
+			JSON.stringify(req.session) !== state.snapshot;
+
+		// Cookies must be set before headers go out, so this runs from
+		// whichever of writeHead and end comes first
+		let cookieHandled = false;
+		function handleCookie() {
+			if (cookieHandled || res.headersSent) return;
+			cookieHandled = true;
+
+			if (state.destroyed) {
+				if (cookieValue) {
+					ResponseHelper.clearCookie(res, config.name, config.cookie);
+				}
 			} else {
-				requests.set(ip, validTimestamps);
+				if (config.rolling) {
+					state.expires = Date.now() + config.maxAge;
+				}
+
+				const shouldSetCookie =
+					config.rolling ||
+					state.regenerated ||
+					(state.isNew && (isModified() || config.saveUninitialized));
+
+				if (shouldSetCookie) {
+					const value = signId(state.id);
+					ResponseHelper.setCookie(res, config.name, value, {
+						sameSite: "Lax",
+						...config.cookie,
+						maxAge: state.expires - Date.now(),
+					});
+				}
 			}
 		}
-	}, windowMs);
 
-	return function (req, res) {
-		const ip = req.socket.remoteAddress;
-		const now = Date.now();
+		const originalWriteHead = res.writeHead;
+		res.writeHead = function (...args) {
+			handleCookie();
+			return originalWriteHead.apply(res, args);
+		};
+
+		// Persist before the response completes so the next request sees it
+		const originalEnd = res.end;
+		res.end = function (...args) {
+			handleCookie();
+			persist()
+				.catch((error) => console.error("Session save failed:", error))
+				.then(() => originalEnd.apply(res, args));
+			return res;
+		};
 
-		if (!requests.has(ip)) {
-			requests.set(ip, []);
+		async function persist() {
+			if (state.destroyed) return;
+
+			if (
+				isModified() ||
+				state.regenerated ||
+				(state.isNew && config.saveUninitialized)
+			) {
+				await req.session.save();
+			} else if (config.rolling && !state.isNew) {
+				await store.touch(state.id, state.expires);
+			}
 		}
 
-		const timestamps = requests.get(ip);
-		const recentRequests = timestamps.filter(
-			(time) => now - time < windowMs
-		);
+		return next();
+	};
+}
 
-		if (recentRequests.length >= maxRequests) {
-			res.writeHead(429, {
-				"Content-Type": "application/json",
-				"Retry-After": Math.ceil(windowMs / 1000),
+// Rate limiting middleware. Also accepts the older
+// rateLimit(maxRequests, windowMs) form.
+//
+// Options:
+//   limit        requests allowed per window, default 100
+//   windowMs     window length, default one minute
+//   algorithm    "fixed-window" (default), "sliding-log" or "token-bucket"
+//   keyGenerator (req) => key, default the client IP
+//   trustProxy   take the client IP from X-Forwarded-For / X-Real-IP
+//   store        a RateLimitStore, default a MemoryStore; use a
+//                ClusterStore to share limits between cluster workers
+//   prefix       namespaces keys when limiters share a store; also labels
+//                the limiter's rate_limit_rejections_total metric
+//   skip         (req) => true to let a request through uncounted
+//
+// Use separate instances as route-level middleware for per-route limits.
+let rateLimiterCount = 0;
+
+const rateLimitRejections = registry.counter({
+	name: "rate_limit_rejections_total",
+	help: "Requests rejected with 429 by rate limiters.",
+	labelNames: ["limiter"],
+});
+
+function rateLimit(options = {}, windowMs) {
+	if (typeof options === "number") {
+		options = { limit: options, windowMs };
+	}
+
+	const config = {
+		limit: 100,
+		windowMs: 60000,
+		algorithm: "fixed-window",
+		trustProxy: false,
+		store: new rateLimitStore.MemoryStore(),
+		prefix: `rl${++rateLimiterCount}`,
+		skip: () => false,
+		...options,
+	};
+
+	if (!rateLimitStore.algorithms[config.algorithm]) {
+		throw new Error(`Unknown rate limit algorithm "${config.algorithm}"`);
+	}
+
+	const keyGenerator =
+		config.keyGenerator ||
+		((req) =>
+			config.trustProxy ? getClientIP(req) : req.socket.remoteAddress);
+
+	const windowSeconds = Math.ceil(config.windowMs / 1000);
+
+	return async function (req, res, next) {
+		if (await config.skip(req)) return next();
+
+		let result;
+		try {
+			const key = `${config.prefix}:${await keyGenerator(req)}`;
+			result = await config.store.hit(key, config.algorithm, {
+				limit: config.limit,
+				windowMs: config.windowMs,
 			});
-			res.end(
-				JSON.stringify({
-					error: "Too Many Requests",
-					message: `Rate limit exceeded. Try again in ${Math.ceil(
-						windowMs / 1000
-					)} seconds.`,
-				})
+		} catch (error) {
+			// Don't take the API down with the store; let the request through
+			console.error("Rate limit store error:", error);
+			return next();
+		}
+
+		const resetSeconds = Math.ceil(result.resetMs / 1000);
+
+		// IETF RateLimit header fields
+		res.setHeader("RateLimit-Policy", `${config.limit};w=${windowSeconds}`);
+		res.setHeader("RateLimit-Limit", config.limit);
+		res.setHeader("RateLimit-Remaining", Math.max(0, result.remaining));
+		res.setHeader("RateLimit-Reset", resetSeconds);
+
+		if (!result.allowed) {
+			rateLimitRejections.inc({ limiter: config.prefix });
+			return next(
+				new TooManyRequests(
+					`Rate limit exceeded. Try again in ${resetSeconds} seconds.`,
+					{ headers: { "Retry-After": resetSeconds } }
+				)
 			);
-			return false;
 		}
 
-		timestamps.push(now);
-		requests.set(ip, timestamps);
-
-		// Add rate limit headers
-		res.setHeader("X-RateLimit-Limit", maxRequests);
-		res.setHeader(
-			"X-RateLimit-Remaining",
-			maxRequests - recentRequests.length - 1
-		);
-		res.setHeader(
-			"X-RateLimit-Reset",
-			new Date(now + windowMs).toISOString()
-		);
-
-		return true;
+		return next();
 	};
 }
 
-// Request validation middleware
-function validate(schema) {
-	return async function (req, res) {
-		if (!req.body) {
-			res.writeHead(400, { "Content-Type": "application/json" });
-			res.end(JSON.stringify({ error: "Request body required" }));
-			return false;
+// Upload middleware. Parses multipart/form-data bodies into req.body (text
+// fields) and req.files on the routes that take uploads, e.g.
+// app.post("/avatar", authenticate(), multipart({ fileSize: 1e6 }), handler)
+// so nothing else ever writes an upload to disk. Files are deleted when the
+// response closes unless the handler moved them or called file.keep().
+//
+// Options: bodyTimeout (ms without body data) and those of
+// utils/multipart-parser.js: uploadDir, fileSize, totalSize, fieldSize,
+// parts, onFile
+function multipart(options = {}) {
+	return async function (req, res, next) {
+		if (req.files || getBodyType(req) !== "multipart") return next();
+
+		try {
+			await parseMultipartBody(req, options);
+		} catch (error) {
+			return next(error);
 		}
 
-		const errors = [];
+		const kept = new WeakSet();
+		req.files.forEach((file) => {
+			file.keep = () => kept.add(file);
+		});
+		res.on("close", () => {
+			removeUploads(req.files.filter((file) => !kept.has(file)));
+		});
 
-		for (const [field, rules] of Object.entries(schema)) {
-			const value = req.body[field];
+		return next();
+	};
+}
 
-			if (
-				rules.required &&
-				(value === undefined || value === null || value === "")
-			) {
-				errors.push(`${field} is required`);
-				continue;
-			}
+// Request validation middleware. `schema` validates the body, or the part
+// of the request named by options.location; see utils/schema.js for the
+// schema format. Validated values replace req.body, req.query and
+// req.params (headers are only checked).
+//
+// Options:
+//   location  "body" (default), "query", "params", "headers", or "request"
+//             when `schema` is { body, query, params, headers } with any of
+//             them, each validated on its own
+//   unknown   "allow" (default), "strip" or "reject" unlisted fields
+//   coerce    { query, params, headers, body } overrides; strings are
+//             coerced everywhere except the body by default
+const LOCATIONS = ["body", "query", "params", "headers"];
+
+function validate(schema, options = {}) {
+	const location = options.location || "body";
+	if (location !== "request" && !LOCATIONS.includes(location)) {
+		throw new Error(`validate(): unknown location "${location}"`);
+	}
+
+	const schemas = location === "request" ? schema : { [location]: schema };
+	Object.keys(schemas).forEach((key) => {
+		if (!LOCATIONS.includes(key)) {
+			throw new Error(`validate(): unknown location "${key}"`);
+		}
+	});
 
-			if (value !== undefined && value !== null) {
-				if (rules.type && typeof value !== rules.type) {
-					errors.push(`${field} must be ${rules.type}`);
-				}
+	const coerce = {
+		body: false,
+		query: true,
+		params: true,
+		headers: true,
+		...options.coerce,
+	};
 
-				if (rules.minLength && value.length < rules.minLength) {
-					errors.push(
-						`${field} must be at least ${rules.minLength} characters`
-					);
-				}
+	return async function (req, res, next) {
+		const errors = [];
+		const results = {};
 
-				if (rules.maxLength && value.length > rules.maxLength) {
-					errors.push(
-						`${field} must be at most ${rules.maxLength} characters`
-					);
-				}
+		for (const location of LOCATIONS) {
+			if (!schemas[location]) continue;
 
-				if (rules.pattern && !rules.pattern.test(value)) {
-					errors.push(`${field} is invalid`);
-				}
+			if (req[location] === undefined) {
+				errors.push({
+					path: `/${location}`,
+					keyword: "required",
+					message: "is required",
+				});
+				continue;
 			}
+
+			const result = validateSchema(
+				req[location],
+				schemas[location],
+				{
+					coerce: coerce[location],
+					unknown: location === "headers" ? "allow" : options.unknown,
+				},
+				`/${location}`
+			);
+
+			errors.push(...result.errors);
+			results[location] = result.value;
 		}
 
 		if (errors.length > 0) {
-			res.writeHead(400, { "Content-Type": "application/json" });
-			res.end(JSON.stringify({ errors }));
-			return false;
+			return next(
+				new BadRequest("Validation failed", { details: { errors } })
+			);
+		}
+
+		for (const [location, value] of Object.entries(results)) {
+			if (location !== "headers") req[location] = value;
 		}
 
-		return true;
+		return next();
 	};
 }
 
-// Compression middleware (gzip)
+// Compression middleware. Negotiates br, gzip or deflate from
+// Accept-Encoding and compresses through a zlib stream as the response is
+// written, so large bodies are never buffered. Also accepts the older
+// compress(minSize) form.
+//
+// Options:
+//   threshold   skip bodies known to be smaller than this, default 1024
+//   encodings   codings to offer in order of preference
+//   filter      (contentType) => whether to compress that type
 const zlib = require("zlib");
 
-function compress(minSize = 1024) {
+const COMPRESSIBLE_TYPES =
+	/^text\/|^application\/(json|javascript|xml|x-www-form-urlencoded)|\+json|\+xml|^image\/svg\+xml|^font\/(ttf|otf)/i;
+
+const encoders = {
+	br: () =>
+		zlib.createBrotliCompress({
+			// Quality 11 is far too slow for on-the-fly compression
+			params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 },
+		}),
+	gzip: () => zlib.createGzip(),
+	deflate: () => zlib.createDeflate(),
+};
+
+function compress(options = {}) {
+	if (typeof options === "number") {
+		options = { threshold: options };
+	}
+
+	const config = {
+		threshold: 1024,
+		encodings: ["br", "gzip", "deflate"],
+		// Event streams are text, but must reach the client event by event
+		filter: (contentType) =>
+			COMPRESSIBLE_TYPES.test(contentType) &&
+			!/^text\/event-stream/i.test(contentType),
+		...options,
+	};
+
 	return function (req, res, next) {
-		const acceptEncoding = req.headers["accept-encoding"] || "";
+		const originalWriteHead = res.writeHead;
 		const originalWrite = res.write;
 		const originalEnd = res.end;
-		const chunks = [];
-
-		// Only compress if client accepts gzip
-		if (!acceptEncoding.includes("gzip")) return true;
+		let started = false;
+		let stream = null;
+
+		// Hold headers back until the first body chunk shows whether to
+		// compress; writeHead would otherwise send them straight away
+		res.writeHead = function (statusCode, reason, headers) {
+			if (typeof reason !== "string") {
+				headers = reason;
+			} else {
+				res.statusMessage = reason;
+			}
 
-		// Only compress responses above minSize
-		res.write = function (chunk, encoding) {
-			chunks.push(Buffer.from(chunk, encoding));
-			return true;
+			res.statusCode = statusCode;
+			if (Array.isArray(headers)) {
+				for (let i = 0; i < headers.length; i += 2) {
+					res.setHeader(headers[i], headers[i + 1]);
+				}
+			} else if (headers) {
+				Object.entries(headers).forEach(([name, value]) => {
+					res.setHeader(name, value);
+				});
+			}
+			return res;
 		};
 
-		res.end = function (chunk, encoding) {
-			if (chunk) {
-				chunks.push(Buffer.from(chunk, encoding));
-			}
+		function shouldCompress(firstChunk, isEnd) {
+			const contentType = String(res.getHeader("Content-Type") || "");
+			if (!contentType || !config.filter(contentType)) return false;
 
-			const body = Buffer.concat(chunks);
+			// The body differs per Accept-Encoding from here on
+			appendVary(res, "Accept-Encoding");
 
-			if (body.length < minSize) {
-				// Too small, send uncompressed
-				res.setHeader("Content-Length", body.length);
-				originalWrite.call(res, body);
-				originalEnd.call(res);
-				return res;
+			if (req.method === "HEAD") return false;
+			if (res.statusCode === 204 || res.statusCode === 304) return false;
+			if (res.getHeader("Content-Encoding")) return false;
+			// Ranges are offsets into the uncompressed representation
+			if (res.statusCode === 206 || res.getHeader("Content-Range")) {
+				return false;
+			}
+			if (/no-transform/i.test(res.getHeader("Cache-Control") || "")) {
+				return false;
 			}
 
-			zlib.gzip(body, (err, compressed) => {
-				if (err) {
-					// Fallback to uncompressed
-					res.setHeader("Content-Length", body.length);
-					originalWrite.call(res, body);
-					originalEnd.call(res);
-					return;
+			// Size is known when the whole body arrives in one end() call
+			let knownLength = parseInt(res.getHeader("Content-Length"), 10);
+			if (isEnd) {
+				knownLength = firstChunk ? Buffer.byteLength(firstChunk) : 0;
+			}
+			return Number.isNaN(knownLength) || knownLength >= config.threshold;
+		}
+
+		function start(firstChunk, isEnd) {
+			started = true;
+			res.writeHead = originalWriteHead;
+
+			const encoding = shouldCompress(firstChunk, isEnd)
+				? negotiateEncoding(
+						req.headers["accept-encoding"],
+						config.encodings
+				  )
+				: "identity";
+
+			if (encoding && encoding !== "identity") {
+				res.setHeader("Content-Encoding", encoding);
+				res.removeHeader("Content-Length");
+
+				// The encoded bytes differ from the ones a strong ETag vouches
+				// for; a weak one still revalidates (If-None-Match compares
+				// weakly)
+				const etag = res.getHeader("ETag");
+				if (etag && !String(etag).startsWith("W/")) {
+					res.setHeader("ETag", `W/${etag}`);
 				}
 
-				res.setHeader("Content-Encoding", "gzip");
-				res.setHeader("Content-Length", compressed.length);
-				originalWrite.call(res, compressed);
-				originalEnd.call(res);
-			});
+				stream = encoders[encoding]();
+				stream.on("data", (chunk) => {
+					if (originalWrite.call(res, chunk) === false) {
+						stream.pause();
+					}
+				});
+				res.on("drain", () => stream.resume());
+				// Writers wait on res, but it is the stream that fills up
+				stream.on("drain", () => res.emit("drain"));
+				stream.on("end", () => originalEnd.call(res));
+				stream.on("error", (error) => {
+					console.error("Compression error:", error);
+					res.destroy(error);
+				});
+			}
+
+			if (!res.headersSent) {
+				originalWriteHead.call(res, res.statusCode);
+			}
+		}
+
+		res.write = function (chunk, encoding, callback) {
+			if (!started) start(chunk, false);
+			if (!stream) {
+				return originalWrite.call(res, chunk, encoding, callback);
+			}
+			return stream.write(chunk, encoding, callback);
+		};
+
+		res.end = function (chunk, encoding, callback) {
+			if (typeof chunk === "function") {
+				callback = chunk;
+				chunk = undefined;
+			}
+
+			if (!started) start(chunk, true);
+			if (!stream) {
+				return originalEnd.call(res, chunk, encoding, callback);
+			}
+
+			if (callback) res.once("finish", callback);
+			if (chunk) {
+				stream.end(chunk, encoding);
+			} else {
+				stream.end();
+			}
+			return res;
+		};
+
+		// Push out what has been compressed so far, e.g. for streamed events
+		res.flush = function () {
+			if (stream) stream.flush();
 		};
 
-		return true;
+		return next();
+	};
+}
+
+// Adapts middleware written in the old style, where returning false stopped
+// the chain, to the next()-based pipeline
+function fromBoolean(fn) {
+	return async function (req, res, next) {
+		const shouldContinue = await fn(req, res);
+		if (shouldContinue !== false) return next();
 	};
 }
 
@@ -255,5 +953,8 @@ module.exports = {
 	authenticate,
 	rateLimit,
 	validate,
+	multipart,
 	compress,
+	fromBoolean,
+	session,
 };
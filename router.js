@@ -1,90 +1,184 @@
 const url = require("url");
+const RouteTree = require("./utils/route-tree.js");
+const {
+	BadRequest,
+	NotFound,
+	MethodNotAllowed,
+	sendError,
+} = require("./utils/http-error.js");
+
+const METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"];
+
+// Methods registered for a path that didn't match the request method, per
+// request, so the top-level router can answer OPTIONS or 405
+const allowedMethods = new WeakMap();
+
+// Route patterns of the mounts a request is being dispatched through, per
+// request, so req.route.path can give the full pattern
+const mountPaths = new WeakMap();
+
+// Captured path values arrive percent-encoded; returns them decoded, or
+// throws a 400 for malformed encoding
+function decodeParams(params) {
+	const decoded = {};
+	for (const [name, value] of Object.entries(params)) {
+		try {
+			decoded[name] = decodeURIComponent(value);
+		} catch {
+			throw new BadRequest(`Malformed URL encoding in parameter ${name}`);
+		}
+	}
+	return decoded;
+}
 
 class Router {
 	constructor() {
-		this.routes = new Map();
+		this.routes = new RouteTree();
 		this.middlewares = [];
 		this.paramHandlers = new Map();
 	}
 
-	add(method, path, handler) {
+	// Handlers before the last act as route-level middleware
+	add(method, path, ...handlers) {
 		const normalizedPath = this.normalizePath(path);
-		const key = `${method.toUpperCase()}:${normalizedPath}`;
-
-		if (this.routes.has(key)) {
-			throw new Error(`Route ${method} ${path} already exists`);
-		}
 
-		this.routes.set(key, {
-			handler,
+		this.routes.insert(method.toUpperCase(), normalizedPath, {
+			handler: handlers.length === 1 ? handlers[0] : this.chain(handlers),
 			params: this.extractParams(normalizedPath),
-			regex: this.pathToRegex(normalizedPath),
+			path: normalizedPath,
 		});
 	}
 
-	get(path, handler) {
-		this.add("GET", path, handler);
+	get(path, ...handlers) {
+		this.add("GET", path, ...handlers);
+		return this;
+	}
+
+	post(path, ...handlers) {
+		this.add("POST", path, ...handlers);
+		return this;
 	}
 
-	post(path, handler) {
-		this.add("POST", path, handler);
+	put(path, ...handlers) {
+		this.add("PUT", path, ...handlers);
+		return this;
 	}
 
-	put(path, handler) {
-		this.add("PUT", path, handler);
+	delete(path, ...handlers) {
+		this.add("DELETE", path, ...handlers);
+		return this;
 	}
 
-	delete(path, handler) {
-		this.add("DELETE", path, handler);
+	patch(path, ...handlers) {
+		this.add("PATCH", path, ...handlers);
+		return this;
+	}
+
+	head(path, ...handlers) {
+		this.add("HEAD", path, ...handlers);
+		return this;
+	}
+
+	options(path, ...handlers) {
+		this.add("OPTIONS", path, ...handlers);
+		return this;
+	}
+
+	// Matches any method not registered explicitly for the path
+	all(path, ...handlers) {
+		this.add("ALL", path, ...handlers);
+		return this;
+	}
+
+	// WebSocket route. Handlers before the last run as middleware on the
+	// handshake request; the last is called as (ws, req) once it's accepted.
+	ws(path, ...handlers) {
+		const onConnection = handlers.pop();
+		this.add("WS", path, ...handlers, (req, res) =>
+			res.acceptWebSocket(onConnection)
+		);
+		return this;
 	}
 
 	use(path, ...handlers) {
-		if (typeof path === "function") {
-			this.middlewares.push({ path: "/*", handler: path });
-		} else {
-			handlers.forEach((handler) => {
-				this.middlewares.push({ path, handler });
-			});
+		if (typeof path !== "string") {
+			handlers.unshift(path);
+			path = null;
 		}
+
+		handlers.forEach((handler) => {
+			if (handler instanceof Router) {
+				this.mount(path || "/", handler);
+			} else {
+				const normalizedPath = this.normalizePath(path || "/*");
+				this.middlewares.push({
+					path: normalizedPath,
+					handler,
+					regex: this.pathToRegex(normalizedPath),
+				});
+			}
+		});
+		return this;
+	}
+
+	mount(prefix, router) {
+		const normalizedPrefix = this.normalizePath(prefix);
+
+		this.middlewares.push({
+			path: normalizedPrefix,
+			router,
+			params: this.extractParams(normalizedPrefix),
+			regex: this.prefixToRegex(normalizedPrefix),
+		});
 	}
 
 	param(name, handler) {
 		this.paramHandlers.set(name, handler);
+		return this;
 	}
 
 	match(method, urlPath) {
 		const methodUpper = method.toUpperCase();
 
-		// Check exact match first
-		const exactKey = `${methodUpper}:${urlPath}`;
-		if (this.routes.has(exactKey)) {
-			return {
-				handler: this.routes.get(exactKey).handler,
-				params: {},
-			};
-		}
+		// WebSocket handshakes only match ws() routes
+		if (methodUpper === "WS") return this.matchMethod("WS", urlPath);
 
-		// Check pattern matches
-		for (const [key, route] of this.routes) {
-			const [routeMethod, routePath] = key.split(":");
+		// HEAD falls back to GET routes; Node drops the body for HEAD itself
+		return (
+			this.matchMethod(methodUpper, urlPath) ||
+			(methodUpper === "HEAD" && this.matchMethod("GET", urlPath)) ||
+			this.matchMethod("ALL", urlPath)
+		);
+	}
 
-			if (routeMethod !== methodUpper) continue;
+	matchMethod(methodUpper, urlPath) {
+		const found = this.routes.find(methodUpper, urlPath);
+		if (!found) return null;
 
-			const match = urlPath.match(route.regex);
-			if (match) {
-				const params = {};
-				route.params.forEach((param, index) => {
-					params[param] = match[index + 1];
-				});
+		const params = {};
+		found.route.params.forEach((param, index) => {
+			params[param] = found.values[index];
+		});
 
-				return {
-					handler: route.handler,
-					params,
-				};
-			}
+		return {
+			handler: found.route.handler,
+			params,
+			path: found.route.path,
+		};
+	}
+
+	// Methods with a route matching the path, as listed in an Allow header
+	allowedMethods(urlPath) {
+		const methods = this.routes.methods(urlPath);
+		methods.delete("WS");
+
+		if (methods.has("ALL")) {
+			METHODS.forEach((method) => methods.add(method));
 		}
+		if (methods.has("GET")) methods.add("HEAD");
+		if (methods.size > 0) methods.add("OPTIONS");
 
-		return null;
+		return METHODS.filter((method) => methods.has(method));
 	}
 
 	normalizePath(path) {
@@ -95,6 +189,11 @@ class Router {
 		return path;
 	}
 
+	joinPaths(prefix, path) {
+		if (!prefix || prefix === "/") return path;
+		return path === "/" ? prefix : prefix + path;
+	}
+
 	extractParams(path) {
 		const params = [];
 		const segments = path.split("/");
@@ -102,6 +201,9 @@ class Router {
 		segments.forEach((segment) => {
 			if (segment.startsWith(":")) {
 				params.push(segment.slice(1));
+			} else if (segment === "*") {
+				// The wildcard's match is available as req.params["*"]
+				params.push("*");
 			}
 		});
 
@@ -111,53 +213,213 @@ class Router {
 	pathToRegex(path) {
 		const pattern = path
 			.replace(/\/:(\w+)/g, "/([^/]+)") // Convert :param to regex group
-			.replace(/\*/g, ".*"); // Convert * to wildcard
+			.replace(/\*/g, ".*") // Convert * to wildcard
+			.replace(/\/\.\*$/, "(?:/.*)?"); // Trailing /* matches the bare prefix
 
 		return new RegExp(`^${pattern}$`);
 	}
 
-	async handle(req, res) {
+	prefixToRegex(prefix) {
+		const pattern = (prefix === "/" ? "" : prefix).replace(
+			/\/:(\w+)/g,
+			"/([^/]+)"
+		);
+
+		// Only match whole segments so /api doesn't match /apis
+		return new RegExp(`^${pattern}(?=/|$)`);
+	}
+
+	// `done` runs when no route matches; defaults to a JSON 404. Errors no
+	// error middleware handled reject the returned promise.
+	async handle(req, res, done = (req, res) => this.notFound(req, res)) {
 		const parsedUrl = url.parse(req.url, true);
-		const pathname = parsedUrl.pathname;
-		const method = req.method;
+		const pathname = this.normalizePath(parsedUrl.pathname);
 
-		// Apply global middlewares
-		for (const mw of this.middlewares) {
-			const normalizedPath = this.normalizePath(mw.path);
-			const regex = this.pathToRegex(normalizedPath);
+		req.baseUrl = req.baseUrl || "";
+		req.params = req.params || {};
 
-			if (regex.test(pathname)) {
-				const shouldContinue = await mw.handler(req, res);
-				if (shouldContinue === false) return;
+		await this.dispatch(req, res, pathname, async (err) => {
+			if (err) throw err;
+
+			// The path exists under other methods
+			const allowed = allowedMethods.get(req);
+			if (allowed) {
+				allowedMethods.delete(req);
+				return this.methodNotAllowed(req, res, allowed);
 			}
-		}
 
+			await done(req, res);
+		});
+	}
+
+	// Runs the middleware stack, then the matching route. `out(err)` is called
+	// when the request falls through this router; `pathname` is relative to
+	// the prefix this router is mounted under. When `routeError` is given the
+	// route already ran and only error middleware is left to try.
+	dispatch(req, res, pathname, out, routeError) {
+		const routed = routeError !== undefined;
+		let index = 0;
+
+		const next = async (err) => {
+			if (routed && !err) return out();
+
+			while (index < this.middlewares.length) {
+				const mw = this.middlewares[index++];
+
+				if (mw.router) {
+					if (err || !mw.regex.test(pathname)) continue;
+					return this.dispatchMounted(mw, req, res, pathname, next);
+				}
+
+				// 4-arity middleware only runs while an error is being handled
+				const isErrorHandler = mw.handler.length === 4;
+				if (isErrorHandler !== Boolean(err)) continue;
+
+				if (!mw.regex.test(pathname)) continue;
+
+				const args = err ? [err, req, res] : [req, res];
+				return this.invoke(mw.handler, args, next);
+			}
+
+			if (err) return out(err);
+			if (routed) return out();
+			return this.dispatchRoute(req, res, pathname, out);
+		};
+
+		return next(routeError);
+	}
+
+	async dispatchRoute(req, res, pathname, out) {
 		// Find matching route
-		const match = this.match(method, pathname);
+		const match = this.match(req.upgrade ? "WS" : req.method, pathname);
+		if (!match) {
+			const allowed = req.upgrade ? [] : this.allowedMethods(pathname);
+			if (allowed.length > 0) {
+				const previous = allowedMethods.get(req) || [];
+				allowedMethods.set(req, [...new Set([...previous, ...allowed])]);
+			}
+			return out();
+		}
 
-		if (match) {
-			// Handle route parameters
-			req.params = match.params;
+		// The matched pattern, e.g. "/api/users/:id", for logs and metrics
+		req.route = {
+			path: this.joinPaths(mountPaths.get(req) || "", match.path),
+		};
 
-			// Run param handlers
+		const fail = (err) => this.dispatch(req, res, pathname, out, err);
+
+		// Handle route parameters, keeping those captured by parent mounts
+		try {
+			req.params = { ...req.params, ...decodeParams(match.params) };
+		} catch (error) {
+			return fail(error);
+		}
+
+		// Run param handlers
+		try {
 			for (const [paramName, handler] of this.paramHandlers) {
-				if (match.params[paramName]) {
-					await handler(req, res, match.params[paramName], paramName);
+				if (req.params[paramName]) {
+					await handler(req, res, req.params[paramName], paramName);
 				}
 			}
+		} catch (error) {
+			return fail(error);
+		}
 
-			// Execute route handler
-			await match.handler(req, res);
-		} else {
-			// 404 Not Found
-			res.writeHead(404, { "Content-Type": "application/json" });
-			res.end(
-				JSON.stringify({
-					error: "Not Found",
-					message: `Route ${pathname} not found`,
-				})
-			);
+		// Execute route handler; calling next() passes on to `out`
+		return this.invoke(match.handler, [req, res], (err) =>
+			err ? fail(err) : out()
+		);
+	}
+
+	dispatchMounted(mount, req, res, pathname, next) {
+		const match = pathname.match(mount.regex);
+		const { baseUrl, params } = req;
+		const mountPath = mountPaths.get(req) || "";
+		const rawParams = {};
+		mount.params.forEach((param, index) => {
+			rawParams[param] = match[index + 1];
+		});
+
+		let mountParams;
+		try {
+			mountParams = decodeParams(rawParams);
+		} catch (error) {
+			return next(error);
 		}
+
+		req.baseUrl = baseUrl + match[0];
+		req.params = { ...params, ...mountParams };
+		mountPaths.set(req, this.joinPaths(mountPath, mount.path));
+
+		return mount.router.dispatch(
+			req,
+			res,
+			this.normalizePath(pathname.slice(match[0].length)),
+			(err) => {
+				// Restore state so later layers see this router's view
+				req.baseUrl = baseUrl;
+				req.params = params;
+				mountPaths.set(req, mountPath);
+				return next(err);
+			}
+		);
+	}
+
+	// Combines route-level middleware and the handler into one handler
+	chain(handlers) {
+		return (req, res, next) => {
+			const run = (index, err) => {
+				if (err || index === handlers.length) return next(err);
+				return this.invoke(handlers[index], [req, res], (err) =>
+					run(index + 1, err)
+				);
+			};
+			return run(0);
+		};
+	}
+
+	// Calls a middleware or handler with a `next` that only fires once. Thrown
+	// errors and rejections go to next(err), and the returned promise waits
+	// for downstream layers even if `fn` didn't return next()'s promise.
+	async invoke(fn, args, next) {
+		let downstream = null;
+		const once = (err) => {
+			if (!downstream) downstream = next(err);
+			return downstream;
+		};
+
+		try {
+			await fn(...args, once);
+		} catch (error) {
+			if (downstream) throw error;
+			return once(error);
+		}
+
+		return downstream;
+	}
+
+	// Answers OPTIONS with the allowed methods, anything else with 405
+	methodNotAllowed(req, res, allowed) {
+		const allow = allowed.join(", ");
+
+		if (req.method === "OPTIONS") {
+			res.writeHead(204, { Allow: allow });
+			res.end();
+			return;
+		}
+
+		const pathname = url.parse(req.url).pathname;
+		const error = new MethodNotAllowed(
+			`Method ${req.method} not allowed for ${pathname}`,
+			{ headers: { Allow: allow } }
+		);
+		sendError(req, res, error);
+	}
+
+	notFound(req, res) {
+		const pathname = url.parse(req.url).pathname;
+		sendError(req, res, new NotFound(`Route ${pathname} not found`));
 	}
 }
 
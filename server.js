@@ -1,148 +1,591 @@
+const fs = require("fs");
 const http = require("http");
-const url = require("url");
-const router = require("./router.js");
+const https = require("https");
+const http2 = require("http2");
+const tls = require("tls");
+const cluster = require("cluster");
+const Router = require("./router.js");
 const middleware = require("./middleware.js");
-const staticServer = require("./static-server.js");
-const { parseRequest } = require("./utils/request-parser.js");
-const { createResponse } = require("./utils/response-helper.js");
+const { serveStatic } = require("./static-server.js");
+const {
+	parseRequest,
+	parseBody,
+	holdContinue,
+} = require("./utils/request-parser.js");
+const ResponseHelper = require("./utils/response-helper.js");
+const HealthRegistry = require("./utils/health.js");
+const {
+	HttpError,
+	NotFound,
+	toHttpError,
+	sendError,
+} = require("./utils/http-error.js");
+const {
+	checkHandshake,
+	acceptWebSocket,
+	isWebSocketUpgrade,
+} = require("./utils/websocket.js");
+const {
+	Supervisor,
+	connectWorker,
+	requestClusterHealth,
+	requestClusterMetrics,
+} = require("./utils/supervisor.js");
+const {
+	registry: defaultRegistry,
+	httpMetrics,
+	collectProcessMetrics,
+	render,
+	CONTENT_TYPE: METRICS_CONTENT_TYPE,
+} = require("./utils/metrics.js");
+
+// TLS material may be given inline or as a path to a PEM file
+function loadPem(value) {
+	if (Array.isArray(value)) return value.map(loadPem);
+	if (Buffer.isBuffer(value) || value.includes("-----BEGIN")) return value;
+	return fs.readFileSync(value);
+}
 
 class HTTPServer {
-	constructor(port = 3000) {
+	constructor(port = 3000, options = {}) {
 		this.port = port;
+		this.options = options;
 		this.server = null;
-		this.middlewares = [];
-		this.routes = new Map();
+		this.router = new Router();
+
+		// Lifecycle state for graceful shutdown
+		this.draining = false;
+		this.sockets = new Set();
+		this.activeRequests = new Map(); // res -> req
+		this.webSockets = new Set();
+		this.http2Sessions = new Set();
+		this.shutdownHooks = [];
 
-		// Initialize default middleware
-		this.use(middleware.logger);
+		this.setupMetrics(options.metrics);
+		this.setupHealth(options.health);
+
+		// Initialize default middleware. The body is read after the logger
+		// and CORS, so requests rejected while reading it (400, 408, 413)
+		// are still logged and get their headers.
+		this.use(middleware.logger(options.logging));
 		this.use(middleware.cors());
+		this.use(async (req, res, next) => {
+			await parseBody(req, this.options.parser);
+			return next();
+		});
+	}
+
+	use(path, ...handlers) {
+		this.router.use(path, ...handlers);
+		return this;
+	}
+
+	param(name, handler) {
+		this.router.param(name, handler);
+		return this;
+	}
+
+	get(path, ...handlers) {
+		this.addRoute("GET", path, ...handlers);
+		return this;
 	}
 
-	use(middleware) {
-		this.middlewares.push(middleware);
+	post(path, ...handlers) {
+		this.addRoute("POST", path, ...handlers);
 		return this;
 	}
 
-	get(path, handler) {
-		this.addRoute("GET", path, handler);
+	put(path, ...handlers) {
+		this.addRoute("PUT", path, ...handlers);
 		return this;
 	}
 
-	post(path, handler) {
-		this.addRoute("POST", path, handler);
+	delete(path, ...handlers) {
+		this.addRoute("DELETE", path, ...handlers);
 		return this;
 	}
 
-	put(path, handler) {
-		this.addRoute("PUT", path, handler);
+	patch(path, ...handlers) {
+		this.addRoute("PATCH", path, ...handlers);
 		return this;
 	}
 
-	delete(path, handler) {
-		this.addRoute("DELETE", path, handler);
+	head(path, ...handlers) {
+		this.addRoute("HEAD", path, ...handlers);
+		return this;
+	}
+
+	options(path, ...handlers) {
+		this.addRoute("OPTIONS", path, ...handlers);
+		return this;
+	}
+
+	all(path, ...handlers) {
+		this.addRoute("ALL", path, ...handlers);
+		return this;
+	}
+
+	// WebSocket route, e.g. app.ws("/chat/:room", authenticate(), (ws, req)
+	// => ...). Middleware and params work as for other routes.
+	ws(path, ...handlers) {
+		this.router.ws(path, ...handlers);
+		return this;
+	}
+
+	addRoute(method, path, ...handlers) {
+		this.router.add(method, path, ...handlers);
+	}
+
+	// Prometheus metrics, on by default; pass metrics: false to turn them off.
+	//
+	// Options:
+	//   path         where the metrics are served, default "/metrics"
+	//   registry     a utils/metrics.js Registry, default the shared one,
+	//                which middleware such as rateLimit also reports to
+	//   buckets      request duration buckets in seconds
+	//   sizeBuckets  request and response size buckets in bytes
+	setupMetrics(options = {}) {
+		this.registry = null;
+		if (options === false) return;
+
+		const { path = "/metrics", registry = defaultRegistry } = options;
+		this.registry = registry;
+		this.trackRequest = httpMetrics(registry, options);
+		collectProcessMetrics(registry);
+
+		this.get(path, (req, res) => this.sendMetrics(req, res));
+	}
+
+	// In a cluster each scrape reaches one worker, so it answers for all
+	async sendMetrics(req, res) {
+		const snapshot =
+			(await requestClusterMetrics()) || (await this.registry.snapshot());
+
+		res.writeHead(200, { "Content-Type": METRICS_CONTENT_TYPE });
+		res.end(render(snapshot));
+	}
+
+	// Liveness and readiness probes backed by the checks registered with
+	// healthCheck(); pass health: false to leave the routes out.
+	//
+	// Options:
+	//   livePath    default "/health/live"
+	//   readyPath   default "/health/ready"
+	//   timeout     default per-check timeout in ms
+	//   cacheTtl    default ms to reuse a check's result
+	setupHealth(options = {}) {
+		const {
+			livePath = "/health/live",
+			readyPath = "/health/ready",
+			...registryOptions
+		} = options || {};
+		this.health = new HealthRegistry(registryOptions);
+		if (options === false) return;
+
+		this.get(livePath, (req, res) => this.sendHealth(res, true));
+		this.get(readyPath, (req, res) => this.sendHealth(res, false));
+	}
+
+	// Registers a named async check, e.g. app.healthCheck("db", () =>
+	// pool.query("SELECT 1"), { timeout: 500 }); see utils/health.js
+	healthCheck(name, check, options) {
+		this.health.register(name, check, options);
 		return this;
 	}
 
-	addRoute(method, path, handler) {
-		const key = `${method}:${path}`;
-		this.routes.set(key, handler);
+	// Readiness report; a draining server isn't ready whatever its checks say
+	async checkHealth({ liveness = false } = {}) {
+		const report = await this.health.run({ liveness });
+		if (this.draining && !liveness) report.status = "draining";
+		return report;
+	}
+
+	// Answers with the report and any extra fields; 503 unless healthy or
+	// degraded
+	async sendHealth(res, liveness, fields = {}) {
+		const report = await this.checkHealth({ liveness });
+		const ok = report.status === "healthy" || report.status === "degraded";
+
+		res.writeHead(ok ? 200 : 503, {
+			"Content-Type": "application/json",
+			"Cache-Control": "no-store",
+		});
+		res.end(
+			JSON.stringify({
+				...report,
+				timestamp: new Date().toISOString(),
+				uptime: process.uptime(),
+				...fields,
+			})
+		);
+	}
+
+	// Entry point for requests from the listener; tracks them so shutdown
+	// can wait for the ones in flight
+	onRequest(req, res) {
+		this.activeRequests.set(res, req);
+		res.on("close", () => this.activeRequests.delete(res));
+		if (this.trackRequest) this.trackRequest(req, res);
+
+		if (this.draining) this.closeAfterResponse(req, res);
+
+		return this.handleRequest(req, res);
+	}
+
+	// Keep-alive connections shouldn't outlive a drain
+	closeAfterResponse(req, res) {
+		if (req.httpVersionMajor === 1 && !res.headersSent) {
+			res.setHeader("Connection", "close");
+		}
 	}
 
 	async handleRequest(req, res) {
-		// Parse request
-		const parsedReq = await parseRequest(req);
+		try {
+			// Parse the URL; the body is read by middleware
+			const parsedReq = parseRequest(req);
+
+			// Negotiated responses, e.g. res.format({ json, html, csv })
+			res.format = (handlers) =>
+				ResponseHelper.format(parsedReq, res, handlers);
 
-		// Run middlewares
-		for (const mw of this.middlewares) {
-			const result = await mw(parsedReq, res);
-			if (result === false) return;
+			// Run middlewares and the matching route
+			await this.router.handle(parsedReq, res, (req, res) =>
+				this.notFoundHandler(req, res)
+			);
+		} catch (error) {
+			this.errorHandler(error, req, res);
 		}
+	}
 
-		// Find matching route
-		const pathname = url.parse(req.url, true).pathname;
-		const method = req.method;
-		const routeKey = `${method}:${pathname}`;
+	// Runs a WebSocket handshake through the router like any other request,
+	// with a response that writes straight to the socket so middleware can
+	// still refuse it with a normal HTTP response
+	handleUpgrade(req, socket, head) {
+		socket.on("error", () => socket.destroy());
 
-		// Check static files first
-		if (method === "GET" && pathname.startsWith("/public/")) {
-			return staticServer.serveFile(req, res);
+		if (!isWebSocketUpgrade(req)) {
+			socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+			return;
 		}
 
-		// Check API routes
-		const handler =
-			this.routes.get(routeKey) ||
-			this.routes.get(`${method}:/*`) ||
-			this.notFoundHandler;
+		// Data the client sent right after the handshake
+		if (head && head.length > 0) socket.unshift(head);
+
+		const res = new http.ServerResponse(req);
+		res.shouldKeepAlive = false;
+		res.assignSocket(socket);
+		res.on("finish", () => socket.end());
+		res.acceptWebSocket = (onConnection) =>
+			this.acceptWebSocket(req, res, onConnection);
+
+		return this.handleRequest(req, res);
+	}
+
+	async acceptWebSocket(req, res, onConnection) {
+		const refusal = checkHandshake(req);
+		if (refusal) {
+			const { statusCode, message, headers } = refusal;
+			sendError(req, res, new HttpError(statusCode, message, { headers }));
+			return;
+		}
+
+		const socket = res.socket;
+		res.detachSocket(socket);
+
+		const ws = acceptWebSocket(
+			req,
+			socket,
+			res.getHeaders(),
+			this.options.websocket
+		);
+		this.webSockets.add(ws);
+		ws.on("close", () => this.webSockets.delete(ws));
 
 		try {
-			await handler(parsedReq, res);
+			await onConnection(ws, req);
 		} catch (error) {
-			this.errorHandler(error, req, res);
+			console.error("WebSocket Error:", error);
+			ws.close(1011, "Internal Server Error");
 		}
 	}
 
 	notFoundHandler(req, res) {
-		res.writeHead(404, { "Content-Type": "application/json" });
-		res.end(
-			JSON.stringify({
-				error: "Not Found",
-				message: `Route ${req.url} not found`,
-			})
-		);
+		const pathname = req.url.split("?")[0];
+		sendError(req, res, new NotFound(`Route ${pathname} not found`));
 	}
 
+	// Last stop for errors thrown or passed to next() anywhere, including
+	// those no error middleware handled. HttpErrors answer with their own
+	// status; anything else is a 500 that doesn't reveal its message.
 	errorHandler(error, req, res) {
-		console.error("Server Error:", error);
-		res.writeHead(500, { "Content-Type": "application/json" });
-		res.end(
-			JSON.stringify({
-				error: "Internal Server Error",
-				message: error.message,
-			})
+		const httpError = toHttpError(error);
+		const { statusCode } = httpError;
+		if (statusCode >= 500) {
+			console.error("Server Error:", error);
+		}
+
+		// The body may be partly unread; don't reuse the connection. HTTP/2
+		// has no Connection header, its streams end on their own.
+		const headers = {};
+		const isHttp1 = req.httpVersionMajor === 1;
+		if (isHttp1 && (statusCode === 408 || statusCode === 413)) {
+			headers.Connection = "close";
+		}
+
+		sendError(req, res, httpError, { headers });
+	}
+
+	// Listener options:
+	//   https              { key, cert, ca, passphrase, sni } to serve over
+	//                      TLS; key, cert and ca are PEM strings, buffers or
+	//                      file paths, and sni maps hostnames (or
+	//                      "*.example.com") to their own { key, cert, ca }
+	//   http2              serve HTTP/2 over TLS, still answering HTTP/1.1
+	//                      clients
+	//   httpRedirectPort   also listen for plain HTTP on this port and
+	//                      redirect it to HTTPS
+	createServer() {
+		const handler = (req, res) => this.onRequest(req, res);
+		const { https: tlsConfig, http2: useHttp2 } = this.options;
+
+		if (useHttp2 && !tlsConfig) {
+			throw new Error("HTTP/2 requires the https option");
+		}
+
+		if (!tlsConfig) return http.createServer(handler);
+
+		const tlsOptions = this.tlsOptions(tlsConfig);
+		if (useHttp2) {
+			return http2.createSecureServer(
+				{ ...tlsOptions, allowHTTP1: true },
+				handler
+			);
+		}
+		return https.createServer(tlsOptions, handler);
+	}
+
+	tlsOptions(config) {
+		const { sni, ...options } = config;
+		const credentials = (entry) => {
+			const loaded = { ...entry };
+			["key", "cert", "ca"].forEach((field) => {
+				if (entry[field] !== undefined) {
+					loaded[field] = loadPem(entry[field]);
+				}
+			});
+			return loaded;
+		};
+
+		const tlsOptions = credentials(options);
+		if (!sni) return tlsOptions;
+
+		const contexts = new Map(
+			Object.entries(sni).map(([hostname, entry]) => [
+				hostname.toLowerCase(),
+				tls.createSecureContext(credentials(entry)),
+			])
 		);
+
+		// Exact hostname first, then a wildcard for its parent domain;
+		// unknown names get the default certificate
+		tlsOptions.SNICallback = (servername, callback) => {
+			const hostname = servername.toLowerCase();
+			const wildcard = `*${hostname.slice(hostname.indexOf("."))}`;
+			callback(null, contexts.get(hostname) || contexts.get(wildcard));
+		};
+
+		return tlsOptions;
+	}
+
+	// Plain HTTP listener that sends every request to the HTTPS server
+	createRedirectServer() {
+		return http.createServer((req, res) => {
+			const host = (req.headers.host || "localhost").replace(/:\d+$/, "");
+			const { port: httpsPort } = this.server.address();
+			const port = httpsPort === 443 ? "" : `:${httpsPort}`;
+
+			// 308 keeps the method and body of non-GET requests
+			const isSafe = req.method === "GET" || req.method === "HEAD";
+			res.writeHead(isSafe ? 301 : 308, {
+				Location: `https://${host}${port}${req.url}`,
+			});
+			res.end();
+		});
 	}
 
+	// With options.cluster ({ workers, restartDelay, ... } or true) the
+	// primary process only supervises workers, which each run start() as
+	// usual. SIGHUP to the primary restarts them one by one.
 	start() {
-		this.server = http.createServer((req, res) => {
-			this.handleRequest(req, res);
+		if (this.options.cluster && cluster.isPrimary) {
+			this.supervisor = new Supervisor(this.options.cluster).start();
+			return this;
+		}
+
+		this.server = this.createServer();
+
+		// Node answers 408 itself when these expire
+		if (this.options.headersTimeout) {
+			this.server.headersTimeout = this.options.headersTimeout;
+		}
+		if (this.options.requestTimeout) {
+			this.server.requestTimeout = this.options.requestTimeout;
+		}
+
+		// Track connections so shutdown can close idle ones and force the
+		// rest once the drain deadline passes
+		this.server.on("connection", (socket) => {
+			this.sockets.add(socket);
+			socket.on("close", () => this.sockets.delete(socket));
+		});
+		this.server.on("session", (session) => {
+			this.http2Sessions.add(session);
+			session.on("close", () => this.http2Sessions.delete(session));
+		});
+
+		this.server.on("upgrade", (req, socket, head) => {
+			this.handleUpgrade(req, socket, head);
+		});
+
+		// Expect: 100-continue is only answered once a body parser has
+		// checked the declared length, so an oversized body is refused with
+		// 413 (and a route that reads no body answers) before it's sent
+		this.server.on("checkContinue", (req, res) => {
+			holdContinue(req, res);
+			this.onRequest(req, res);
 		});
 
+		const protocol = this.options.https ? "https" : "http";
 		this.server.listen(this.port, () => {
-			console.log(`Server running at http://localhost:${this.port}`);
 			console.log(
-				`Environment: ${process.env.NODE_ENV || "development"}`
+				`Server running at ${protocol}://localhost:${this.port}`
+			);
+			console.log(
+				`Environment: ${process.env.NODE_ENV || "production"}`
 			);
 		});
 
-		// Graceful shutdown
-		process.on("SIGTERM", () => this.shutdown());
-		process.on("SIGINT", () => this.shutdown());
+		const { httpRedirectPort } = this.options;
+		if (this.options.https && httpRedirectPort) {
+			this.redirectServer = this.createRedirectServer();
+			this.redirectServer.listen(httpRedirectPort, () => {
+				console.log(
+					`Redirecting http://localhost:${httpRedirectPort} to HTTPS`
+				);
+			});
+		}
+
+		if (cluster.isWorker) connectWorker(this);
+
+		// Graceful shutdown; a second signal exits straight away
+		const onSignal = () => {
+			if (this.draining) process.exit(1);
+			this.shutdown().then(() => process.exit(0));
+		};
+		process.on("SIGTERM", onSignal);
+		process.on("SIGINT", onSignal);
+
+		return this;
+	}
 
+	// Registers fn to run once connections have drained, e.g. to close a
+	// database pool; may be async
+	onShutdown(fn) {
+		this.shutdownHooks.push(fn);
 		return this;
 	}
 
+	// Stops accepting connections, lets requests in flight finish for up to
+	// options.shutdownTimeout ms (default 10000), then destroys whatever is
+	// left and runs the onShutdown hooks. Resolves once everything is closed.
 	shutdown() {
+		if (this.shutdownPromise) return this.shutdownPromise;
+
 		console.log("Shutting down server...");
-		this.server.close(() => {
-			console.log("Server stopped");
-			process.exit(0);
+		this.draining = true;
+		this.shutdownPromise = this.drain().then(() => this.runShutdownHooks());
+		return this.shutdownPromise;
+	}
+
+	drain() {
+		const { shutdownTimeout = 10000 } = this.options;
+
+		return new Promise((resolve) => {
+			if (!this.server || !this.server.listening) {
+				resolve();
+				return;
+			}
+
+			const deadline = setTimeout(() => {
+				const count = this.sockets.size;
+				console.log(`Drain deadline passed, closing ${count} sockets`);
+				this.sockets.forEach((socket) => socket.destroy());
+			}, shutdownTimeout);
+			deadline.unref();
+
+			this.server.close(() => {
+				clearTimeout(deadline);
+				console.log("Server stopped");
+				resolve();
+			});
+			if (this.redirectServer) {
+				this.redirectServer.close();
+				this.redirectServer.closeAllConnections();
+			}
+
+			// Responses not started yet close their connection when done
+			this.activeRequests.forEach((req, res) =>
+				this.closeAfterResponse(req, res)
+			);
+
+			// Idle keep-alive connections would otherwise hold close() open
+			if (this.server.closeIdleConnections) {
+				this.server.closeIdleConnections();
+			}
+			this.http2Sessions.forEach((session) => session.close());
+			this.webSockets.forEach((ws) =>
+				ws.close(1001, "Server shutting down")
+			);
 		});
 	}
+
+	async runShutdownHooks() {
+		for (const hook of this.shutdownHooks) {
+			try {
+				await hook();
+			} catch (error) {
+				console.error("Shutdown hook error:", error);
+			}
+		}
+	}
 }
 
-// Example routes
-const app = new HTTPServer();
+// Example routes; WORKERS=4 runs four worker processes, WORKERS=0 one per CPU
+const app = new HTTPServer(process.env.PORT || 3000, {
+	cluster: process.env.WORKERS && { workers: Number(process.env.WORKERS) },
+});
+
+// Health checks run by /health/ready; non-critical failures only degrade
+app.healthCheck(
+	"eventLoop",
+	() => {
+		const start = Date.now();
+		return new Promise((resolve) => setImmediate(resolve)).then(() => {
+			const lagMs = Date.now() - start;
+			if (lagMs > 1000) throw new Error(`Event loop lag ${lagMs}ms`);
+			return { lagMs };
+		});
+	},
+	{ critical: false, liveness: true }
+);
 
 // API Routes
-app.get("/api/health", (req, res) => {
-	res.writeHead(200, { "Content-Type": "application/json" });
-	res.end(
-		JSON.stringify({
-			status: "healthy",
-			timestamp: new Date().toISOString(),
-			uptime: process.uptime(),
-		})
-	);
+app.get("/api/health", async (req, res) => {
+	// The readiness report, plus every worker's state when running as a
+	// cluster
+	await app.sendHealth(res, false, {
+		workers: (await requestClusterHealth()) || undefined,
+	});
 });
 
 app.get("/api/users", (req, res) => {
@@ -151,8 +594,15 @@ app.get("/api/users", (req, res) => {
 		{ id: 2, name: "Jane Smith", email: "jane@example.com" },
 	];
 
+	// JSON by default; CSV, XML or text for clients that ask for them
+	ResponseHelper.send(req, res, users);
+});
+
+app.get("/api/users/:id", (req, res) => {
+	const user = { id: Number(req.params.id), name: "John Doe" };
+
 	res.writeHead(200, { "Content-Type": "application/json" });
-	res.end(JSON.stringify(users));
+	res.end(JSON.stringify(user));
 });
 
 app.post("/api/users", async (req, res) => {
@@ -163,7 +613,14 @@ app.post("/api/users", async (req, res) => {
 	res.end(JSON.stringify(user));
 });
 
+// WebSocket echo, e.g. ws://localhost:3000/ws/echo
+app.ws("/ws/echo", (ws) => {
+	ws.on("message", (data) => ws.send(data));
+});
+
 // Serve static files from public directory
+app.get("/public/*", serveStatic("public"));
+
 app.get("/", (req, res) => {
 	res.writeHead(200, { "Content-Type": "text/html" });
 	res.end(`
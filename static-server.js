@@ -1,10 +1,75 @@
 const fs = require("fs");
 const path = require("path");
 const url = require("url");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const LRUCache = require("./utils/lru-cache");
+const { negotiateEncoding } = require("./utils/negotiate");
+const { parseRange } = require("./utils/range-parser");
+const {
+	BadRequest,
+	Forbidden,
+	InternalServerError,
+} = require("./utils/http-error");
+
+const DEFAULT_CACHE_CONTROL = "public, max-age=3600";
+
+// Sibling files holding a precompressed copy, e.g. app.js.br next to app.js
+const ENCODING_EXTENSIONS = {
+	br: ".br",
+	gzip: ".gz",
+};
 
 class StaticServer {
-	constructor(rootDir = "public") {
+	// Options:
+	//   etag           "weak" (size and mtime), "strong" (content hash) or
+	//                  false
+	//   precompressed  encodings to look for as .br/.gz siblings, in order
+	//                  of preference; [] to disable
+	//   cacheControl   a Cache-Control value, (pathname, filePath) => value,
+	//                  or rules [{ match, value }] where match is a RegExp
+	//                  tested against the URL path or an extension (".js");
+	//                  the first matching rule wins. Default
+	//                  "public, max-age=3600". Fingerprinted names such as
+	//                  app.3f9a1c2e.js can opt in to being cached for good:
+	//                  [{ match: /\.[0-9a-f]{8,}\.\w+$/i,
+	//                     value: "public, max-age=31536000, immutable" }]
+	//   memoryCache    { maxEntries, maxSize, maxFileSize } for keeping small
+	//                  files in memory, or false
+	//   index          file names to serve for a directory, in order
+	//   listing        list directories without an index file
+	//   dotfiles       "ignore" (treat as missing), "deny" (403) or "allow"
+	//   extensions     extensions to try for a missing file, e.g. ["html"]
+	//   fallback       file to serve when nothing matches, relative to the
+	//                  root, e.g. "index.html" for a single-page app
+	constructor(rootDir = "public", options = {}) {
 		this.rootDir = path.resolve(process.cwd(), rootDir);
+		this.options = {
+			etag: "weak",
+			precompressed: ["br", "gzip"],
+			cacheControl: DEFAULT_CACHE_CONTROL,
+			memoryCache: {
+				maxEntries: 100,
+				maxSize: 8 * 1024 * 1024,
+				maxFileSize: 64 * 1024,
+			},
+			index: ["index.html"],
+			listing: false,
+			dotfiles: "ignore",
+			extensions: [],
+			fallback: null,
+			...options,
+		};
+
+		const { memoryCache } = this.options;
+		this.cache = memoryCache
+			? new LRUCache({
+					maxEntries: memoryCache.maxEntries,
+					maxSize: memoryCache.maxSize,
+					sizeOf: (entry) => entry.body.length,
+			  })
+			: null;
+		this.etags = new LRUCache({ maxEntries: 1000 });
 		this.mimeTypes = {
 			".html": "text/html",
 			".htm": "text/html",
@@ -33,73 +98,292 @@ class StaticServer {
 		return this.mimeTypes[ext] || "application/octet-stream";
 	}
 
-	serveFile(req, res) {
-		const parsedUrl = url.parse(req.url);
-		let filePath = path.join(this.rootDir, parsedUrl.pathname);
+	// Serves the file for the request, or calls next() if there is none.
+	// The path is taken relative to the route's wildcard (req.params["*"])
+	// when there is one, otherwise to the router the request is under.
+	async serve(req, res, next) {
+		if (req.method !== "GET" && req.method !== "HEAD") return next();
+
+		const { pathname } = url.parse(req.url);
+
+		// The router has already decoded the wildcard
+		let decoded = req.params ? req.params["*"] : undefined;
+		if (decoded === undefined) {
+			try {
+				decoded = decodeURIComponent(
+					pathname.slice((req.baseUrl || "").length)
+				);
+			} catch (err) {
+				return next(new BadRequest("Malformed URL encoding in path"));
+			}
+		}
+
+		const filePath = path.join(this.rootDir, path.normalize("/" + decoded));
 
 		// Security: Prevent directory traversal
-		if (!filePath.startsWith(this.rootDir)) {
-			this.sendError(res, 403, "Forbidden");
-			return;
+		if (decoded.includes("\0") || !this.isInsideRoot(filePath)) {
+			return next(new Forbidden());
 		}
 
-		// Check if file exists
-		fs.stat(filePath, (err, stats) => {
-			if (err || !stats.isFile()) {
-				// Try with index.html if directory
-				if (stats && stats.isDirectory()) {
-					filePath = path.join(filePath, "index.html");
-					this.serveFile(req, res); // Recursive call
-					return;
-				}
-				this.sendError(res, 404, "File not found");
+		const isDotfile = decoded
+			.split("/")
+			.some((segment) => segment.startsWith("."));
+		if (isDotfile && this.options.dotfiles !== "allow") {
+			if (this.options.dotfiles === "deny") return next(new Forbidden());
+			return this.serveFallback(req, res, next);
+		}
+
+		const stats = await this.stat(filePath);
+
+		if (stats && stats.isDirectory()) {
+			// Relative links in index pages and listings need the slash
+			if (!pathname.endsWith("/")) {
+				const { search } = url.parse(req.url);
+				res.writeHead(301, { Location: `${pathname}/${search || ""}` });
+				res.end();
 				return;
 			}
 
-			// Check for conditional GET (If-Modified-Since)
-			const ifModifiedSince = req.headers["if-modified-since"];
-			if (ifModifiedSince) {
-				const lastModified = new Date(stats.mtime);
-				const ifModifiedSinceDate = new Date(ifModifiedSince);
+			for (const index of this.options.index) {
+				const indexPath = path.join(filePath, index);
+				const indexStats = await this.stat(indexPath);
+				if (indexStats && indexStats.isFile()) {
+					return this.sendFile(req, res, indexPath, indexStats);
+				}
+			}
+
+			if (this.options.listing) {
+				return this.listDirectory(filePath, pathname, res);
+			}
+		}
+
+		if (stats && stats.isFile()) {
+			return this.sendFile(req, res, filePath, stats);
+		}
 
-				if (lastModified <= ifModifiedSinceDate) {
-					res.writeHead(304);
-					res.end();
-					return;
+		// Try /about as about.html and so on
+		if (!stats && !pathname.endsWith("/")) {
+			for (const extension of this.options.extensions) {
+				const candidate = `${filePath}.${extension.replace(/^\./, "")}`;
+				const candidateStats = await this.stat(candidate);
+				if (candidateStats && candidateStats.isFile()) {
+					return this.sendFile(req, res, candidate, candidateStats);
 				}
 			}
+		}
 
-			// Set headers
-			const headers = {
-				"Content-Type": this.getMimeType(filePath),
-				"Content-Length": stats.size,
-				"Last-Modified": stats.mtime.toUTCString(),
-				"Cache-Control": "public, max-age=3600", // 1 hour cache
-			};
-
-			// Handle range requests (for audio/video)
-			const range = req.headers.range;
-			if (range) {
-				this.handleRangeRequest(filePath, range, stats, res, headers);
-				return;
+		return this.serveFallback(req, res, next);
+	}
+
+	// Serves options.fallback (e.g. a single-page app's index.html) in place
+	// of a missing file
+	async serveFallback(req, res, next) {
+		if (!this.options.fallback) return next();
+
+		const filePath = path.join(this.rootDir, this.options.fallback);
+		const stats = await this.stat(filePath);
+		if (!stats || !stats.isFile()) return next();
+
+		return this.sendFile(req, res, filePath, stats);
+	}
+
+	isInsideRoot(filePath) {
+		return (
+			filePath === this.rootDir ||
+			filePath.startsWith(this.rootDir + path.sep)
+		);
+	}
+
+	async sendFile(req, res, filePath, stats) {
+		const { pathname } = url.parse(req.url);
+		const file = await this.selectVariant(req, filePath, stats);
+
+		const headers = {
+			"Content-Type": this.getMimeType(filePath),
+			"Last-Modified": file.stats.mtime.toUTCString(),
+			"Cache-Control": this.getCacheControl(pathname, filePath),
+		};
+
+		const etag = await this.getETag(file);
+		if (etag) headers.ETag = etag;
+
+		// The response differs by Accept-Encoding only if a sibling exists
+		if (file.hasVariants) headers.Vary = "Accept-Encoding";
+
+		if (this.isNotModified(req, file.stats, etag)) {
+			delete headers["Content-Type"];
+			res.writeHead(304, headers);
+			res.end();
+			return;
+		}
+
+		if (file.encoding !== "identity") {
+			headers["Content-Encoding"] = file.encoding;
+		}
+		headers["Content-Length"] = file.stats.size;
+		headers["Accept-Ranges"] = "bytes";
+
+		// Preconditions are checked above, so a fresh cached copy still gets
+		// its 304 first (RFC 9110 13.2.2)
+		const isRange = req.method === "GET" && req.headers.range;
+		if (isRange && this.handleRangeRequest(req, res, file, headers)) {
+			return;
+		}
+
+		const body = await this.readCached(file);
+		if (body) {
+			res.writeHead(200, headers);
+			res.end(body);
+			return;
+		}
+
+		// Stream the file
+		this.streamFile(file.path, res, 200, headers);
+	}
+
+	stat(filePath) {
+		return fs.promises.stat(filePath).catch(() => null);
+	}
+
+	// Picks the precompressed sibling the client prefers, if any exists.
+	// Returns { path, stats, encoding, hasVariants }.
+	async selectVariant(req, filePath, stats) {
+		const identity = {
+			path: filePath,
+			stats,
+			encoding: "identity",
+			hasVariants: false,
+		};
+
+		const candidates = await Promise.all(
+			this.options.precompressed
+				.filter((encoding) => ENCODING_EXTENSIONS[encoding])
+				.map(async (encoding) => {
+					const variantPath = filePath + ENCODING_EXTENSIONS[encoding];
+					const variantStats = await this.stat(variantPath);
+					return variantStats && variantStats.isFile()
+						? { path: variantPath, stats: variantStats, encoding }
+						: null;
+				})
+		);
+
+		const variants = candidates.filter(Boolean);
+		if (variants.length === 0) return identity;
+
+		const encoding = negotiateEncoding(
+			req.headers["accept-encoding"],
+			variants.map((variant) => variant.encoding)
+		);
+		const variant = variants.find((v) => v.encoding === encoding);
+
+		return { ...(variant || identity), hasVariants: true };
+	}
+
+	getCacheControl(pathname, filePath) {
+		const { cacheControl } = this.options;
+
+		if (typeof cacheControl === "function") {
+			return cacheControl(pathname, filePath) || DEFAULT_CACHE_CONTROL;
+		}
+
+		if (!Array.isArray(cacheControl)) {
+			return cacheControl || DEFAULT_CACHE_CONTROL;
+		}
+
+		const extension = path.extname(filePath).toLowerCase();
+		const rule = cacheControl.find(({ match }) =>
+			match instanceof RegExp
+				? match.test(pathname)
+				: [].concat(match).includes(extension)
+		);
+
+		return rule ? rule.value : DEFAULT_CACHE_CONTROL;
+	}
+
+	async getETag(file) {
+		const { etag } = this.options;
+		const { size, mtimeMs } = file.stats;
+
+		if (etag === "weak") {
+			const mtime = Math.floor(mtimeMs).toString(16);
+			return `W/"${size.toString(16)}-${mtime}"`;
+		}
+
+		if (etag !== "strong") return null;
+
+		// Hashing means reading the whole file, so remember the result
+		const key = `${file.path}:${size}:${mtimeMs}`;
+		let tag = this.etags.get(key);
+
+		if (!tag) {
+			const hash = crypto.createHash("sha1");
+			const body = await this.readCached(file);
+
+			if (body) {
+				hash.update(body);
+			} else {
+				await pipeline(fs.createReadStream(file.path), hash);
 			}
 
-			// Stream the file
-			this.streamFile(filePath, res, 200, headers);
-		});
+			tag = `"${hash.digest("base64url")}"`;
+			this.etags.set(key, tag);
+		}
+
+		return tag;
+	}
+
+	isNotModified(req, stats, etag) {
+		// If-None-Match takes precedence over If-Modified-Since
+		// (RFC 9110 13.2.2) and uses weak comparison
+		const ifNoneMatch = req.headers["if-none-match"];
+		if (ifNoneMatch) {
+			if (!etag) return false;
+			if (ifNoneMatch.trim() === "*") return true;
+
+			const opaque = (tag) => tag.trim().replace(/^W\//, "");
+			return ifNoneMatch
+				.split(",")
+				.some((tag) => opaque(tag) === opaque(etag));
+		}
+
+		const ifModifiedSince = req.headers["if-modified-since"];
+		if (ifModifiedSince) {
+			// HTTP dates have one-second resolution
+			const lastModified = Math.floor(stats.mtimeMs / 1000) * 1000;
+			return lastModified <= Date.parse(ifModifiedSince);
+		}
+
+		return false;
+	}
+
+	// Returns the file's content from the memory cache, loading it first if
+	// it is small enough, or null if it should be streamed instead
+	async readCached(file) {
+		const { memoryCache } = this.options;
+		const { size, mtimeMs } = file.stats;
+
+		if (!this.cache || size > memoryCache.maxFileSize) return null;
+
+		const cached = this.cache.get(file.path);
+		if (cached && cached.size === size && cached.mtimeMs === mtimeMs) {
+			return cached.body;
+		}
+
+		const body = await fs.promises.readFile(file.path);
+		this.cache.set(file.path, { body, size, mtimeMs });
+		return body;
 	}
 
-	streamFile(filePath, res, statusCode = 200, headers = {}) {
-		const stream = fs.createReadStream(filePath);
+	streamFile(filePath, res, statusCode = 200, headers = {}, range = {}) {
+		const stream = fs.createReadStream(filePath, range);
 
 		res.writeHead(statusCode, headers);
 		stream.pipe(res);
 
+		// Headers are out, so all that's left is to cut the response short
 		stream.on("error", (err) => {
 			console.error("Stream error:", err);
-			if (!res.headersSent) {
-				this.sendError(res, 500, "Internal Server Error");
-			}
+			res.destroy();
 		});
 
 		res.on("close", () => {
@@ -107,79 +391,216 @@ class StaticServer {
 		});
 	}
 
-	handleRangeRequest(filePath, range, stats, res, headers) {
-		const parts = range.replace(/bytes=/, "").split("-");
-		const start = parseInt(parts[0], 10);
-		const end = parts[1] ? parseInt(parts[1], 10) : stats.size - 1;
+	// Answers a Range request with 206, or 416 when nothing in it can be
+	// served; returns false if the full file should be sent instead
+	handleRangeRequest(req, res, file, headers) {
+		const { size } = file.stats;
+
+		if (!this.isRangeFresh(req, file.stats, headers.ETag)) return false;
 
-		if (start >= stats.size || end >= stats.size) {
-			headers["Content-Range"] = `bytes */${stats.size}`;
-			res.writeHead(416, headers);
+		const ranges = parseRange(req.headers.range, size);
+		if (!ranges) return false;
+
+		if (ranges.length === 0) {
+			res.writeHead(416, {
+				"Content-Range": `bytes */${size}`,
+				"Accept-Ranges": "bytes",
+			});
 			res.end();
-			return;
+			return true;
 		}
 
-		headers["Content-Range"] = `bytes ${start}-${end}/${stats.size}`;
-		headers["Content-Length"] = end - start + 1;
-		headers["Accept-Ranges"] = "bytes";
+		if (ranges.length === 1) {
+			const [{ start, end }] = ranges;
+			headers["Content-Range"] = `bytes ${start}-${end}/${size}`;
+			headers["Content-Length"] = end - start + 1;
+			this.streamFile(file.path, res, 206, headers, { start, end });
+			return true;
+		}
 
-		const stream = fs.createReadStream(filePath, { start, end });
-		res.writeHead(206, headers);
-		stream.pipe(res);
+		this.sendByteRanges(res, file, ranges, headers);
+		return true;
 	}
 
-	sendError(res, statusCode, message) {
-		res.writeHead(statusCode, { "Content-Type": "application/json" });
-		res.end(JSON.stringify({ error: message }));
+	// A Range is only honored if If-Range still matches the file, otherwise
+	// the client's partial copy is stale and it needs the whole thing
+	isRangeFresh(req, stats, etag) {
+		const ifRange = req.headers["if-range"];
+		if (!ifRange) return true;
+
+		// Entity tags must match strongly, so weak ones never do
+		if (/^(W\/)?"/.test(ifRange.trim())) {
+			return (
+				Boolean(etag) &&
+				!etag.startsWith("W/") &&
+				ifRange.trim() === etag
+			);
+		}
+
+		const lastModified = Math.floor(stats.mtimeMs / 1000) * 1000;
+		return Date.parse(ifRange) === lastModified;
 	}
 
-	// Directory listing (optional, for development)
-	listDirectory(dirPath, res) {
-		fs.readdir(dirPath, (err, files) => {
-			if (err) {
-				this.sendError(res, 500, "Unable to list directory");
-				return;
+	// Sends several ranges as one multipart/byteranges body
+	async sendByteRanges(res, file, ranges, headers) {
+		const { size } = file.stats;
+		const boundary = crypto.randomBytes(12).toString("hex");
+		const contentType = headers["Content-Type"];
+
+		const parts = ranges.map(({ start, end }) => ({
+			start,
+			end,
+			head:
+				`--${boundary}\r\n` +
+				`Content-Type: ${contentType}\r\n` +
+				`Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`,
+		}));
+		const tail = `--${boundary}--\r\n`;
+
+		headers["Content-Type"] = `multipart/byteranges; boundary=${boundary}`;
+		headers["Content-Length"] = parts.reduce(
+			(length, part) =>
+				length +
+				Buffer.byteLength(part.head) +
+				(part.end - part.start + 1) +
+				2,
+			Buffer.byteLength(tail)
+		);
+		res.writeHead(206, headers);
+
+		try {
+			for (const { start, end, head } of parts) {
+				res.write(head);
+				await pipeline(
+					fs.createReadStream(file.path, { start, end }),
+					res,
+					{ end: false }
+				);
+				res.write("\r\n");
 			}
+			res.end(tail);
+		} catch (err) {
+			// Headers are out, so all that's left is to cut the response short
+			console.error("Stream error:", err);
+			res.destroy();
+		}
+	}
+
+	// Directory listing (opt-in, mostly for development)
+	async listDirectory(dirPath, pathname, res) {
+		let entries;
+		try {
+			entries = await fs.promises.readdir(dirPath, {
+				withFileTypes: true,
+			});
+		} catch (err) {
+			throw new InternalServerError("Unable to list directory", {
+				cause: err,
+			});
+		}
 
-			const html = `
+		if (this.options.dotfiles !== "allow") {
+			entries = entries.filter((entry) => !entry.name.startsWith("."));
+		}
+
+		const files = await Promise.all(
+			entries.map(async (entry) => ({
+				name: entry.name,
+				isDir: entry.isDirectory(),
+				stats: await this.stat(path.join(dirPath, entry.name)),
+			}))
+		);
+
+		// Directories first, then by name
+		files.sort(
+			(a, b) => b.isDir - a.isDir || a.name.localeCompare(b.name)
+		);
+
+		const rows = files
+			.filter((file) => file.stats)
+			.map(({ name, isDir, stats }) => {
+				const icon = isDir ? "📁" : "📄";
+				const href = encodeURIComponent(name) + (isDir ? "/" : "");
+				const size = isDir ? "-" : formatSize(stats.size);
+				const modified = stats.mtime
+					.toISOString()
+					.slice(0, 16)
+					.replace("T", " ");
+				return `<tr><td>${icon} <a href="${href}">${escapeHtml(
+					name
+				)}</a></td><td>${size}</td><td>${modified}</td></tr>`;
+			});
+
+		if (path.resolve(dirPath) !== this.rootDir) {
+			rows.unshift(
+				`<tr><td>⬆️ <a href="../">..</a></td><td></td><td></td></tr>`
+			);
+		}
+
+		const title = escapeHtml(decodeURIComponent(pathname));
+		const html = `
         <!DOCTYPE html>
         <html>
           <head>
-            <title>Directory: ${path.basename(dirPath)}</title>
+            <meta charset="utf-8">
+            <title>Directory: ${title}</title>
             <style>
               body { font-family: Arial, sans-serif; margin: 40px; }
               h1 { color: #333; }
-              ul { list-style: none; padding: 0; }
-              li { padding: 5px 0; }
+              table { border-collapse: collapse; }
+              td { padding: 5px 20px 5px 0; }
               a { color: #0066cc; text-decoration: none; }
               a:hover { text-decoration: underline; }
             </style>
           </head>
           <body>
-            <h1>Directory: ${path.basename(dirPath)}</h1>
-            <ul>
-              ${files
-					.map((file) => {
-						const isDir = fs
-							.statSync(path.join(dirPath, file))
-							.isDirectory();
-						const icon = isDir ? "📁" : "📄";
-						const href =
-							encodeURIComponent(file) + (isDir ? "/" : "");
-						return `<li>${icon} <a href="${href}">${file}</a></li>`;
-					})
-					.join("")}
-            </ul>
+            <h1>Directory: ${title}</h1>
+            <table>
+              ${rows.join("")}
+            </table>
           </body>
         </html>
       `;
 
-			res.writeHead(200, { "Content-Type": "text/html" });
-			res.end(html);
+		res.writeHead(200, {
+			"Content-Type": "text/html; charset=utf-8",
+			"Cache-Control": "no-cache",
 		});
+		res.end(html);
 	}
 }
 
-// Create and export singleton instance
-const staticServer = new StaticServer();
-module.exports = staticServer;
+function escapeHtml(text) {
+	return text
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+}
+
+function formatSize(bytes) {
+	const units = ["B", "KB", "MB", "GB"];
+	let size = bytes;
+	let unit = 0;
+
+	while (size >= 1024 && unit < units.length - 1) {
+		size /= 1024;
+		unit++;
+	}
+
+	return unit === 0 ? `${size} B` : `${size.toFixed(1)} ${units[unit]}`;
+}
+
+// Returns a handler serving files from `root`, for a wildcard route such
+// as app.get("/assets/*", serveStatic("public")). Requests that match no
+// file fall through to the next handler.
+function serveStatic(root = "public", options = {}) {
+	const server = new StaticServer(root, options);
+	return (req, res, next) => server.serve(req, res, next);
+}
+
+module.exports = {
+	StaticServer,
+	serveStatic,
+};
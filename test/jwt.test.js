@@ -0,0 +1,182 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const jwt = require("../utils/jwt.js");
+
+const SECRET = "test-secret";
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+	modulusLength: 2048,
+	publicKeyEncoding: { type: "spki", format: "pem" },
+	privateKeyEncoding: { type: "pkcs8", format: "pem" },
+});
+
+function segment(value) {
+	return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+// Builds a token by hand, HMAC-signed with `key`
+function forge(header, payload, key) {
+	const data = `${segment(header)}.${segment(payload)}`;
+	const signature = crypto
+		.createHmac("sha256", key)
+		.update(data)
+		.digest("base64url");
+	return `${data}.${signature}`;
+}
+
+function assertTokenError(fn, code) {
+	assert.throws(fn, (error) => {
+		assert.ok(error instanceof jwt.TokenError, error);
+		assert.strictEqual(error.code, code);
+		return true;
+	});
+}
+
+test("HS256 tokens round-trip", () => {
+	const token = jwt.sign({ sub: "42", role: "user" }, SECRET, {
+		expiresIn: 60,
+		issuer: "api",
+	});
+	const payload = jwt.verify(token, SECRET, { issuer: "api" });
+
+	assert.strictEqual(payload.sub, "42");
+	assert.strictEqual(payload.role, "user");
+	assert.strictEqual(payload.exp - payload.iat, 60);
+});
+
+test("RS256 tokens round-trip with a PEM key pair", () => {
+	const token = jwt.sign({ sub: "42" }, privateKey, { algorithm: "RS256" });
+	const payload = jwt.verify(token, publicKey, { algorithms: ["RS256"] });
+
+	assert.strictEqual(payload.sub, "42");
+});
+
+test("RS256 works with KeyObjects", () => {
+	const token = jwt.sign({ sub: "1" }, crypto.createPrivateKey(privateKey), {
+		algorithm: "RS256",
+	});
+	const payload = jwt.verify(token, crypto.createPublicKey(publicKey), {
+		algorithms: ["RS256"],
+	});
+
+	assert.strictEqual(payload.sub, "1");
+});
+
+test("a tampered payload fails the signature check", () => {
+	const [header, , signature] = jwt.sign({ sub: "42" }, SECRET).split(".");
+	const token = `${header}.${segment({ sub: "admin" })}.${signature}`;
+
+	assertTokenError(() => jwt.verify(token, SECRET), "invalid_signature");
+});
+
+test("the wrong secret fails the signature check", () => {
+	const token = jwt.sign({ sub: "42" }, SECRET);
+
+	assertTokenError(() => jwt.verify(token, "other"), "invalid_signature");
+});
+
+test("HS256 tokens signed with a public key are rejected", () => {
+	const header = { alg: "HS256", typ: "JWT" };
+	const token = forge(header, { sub: "admin" }, publicKey);
+	const options = { algorithms: ["RS256", "HS256"] };
+
+	assertTokenError(
+		() => jwt.verify(token, publicKey, options),
+		"invalid_signature"
+	);
+	assertTokenError(
+		() => jwt.verify(token, crypto.createPublicKey(publicKey), options),
+		"invalid_signature"
+	);
+	assertTokenError(
+		() => jwt.verify(token, Buffer.from(publicKey), options),
+		"invalid_signature"
+	);
+});
+
+test("RS256 tokens are rejected when the key is a shared secret", () => {
+	const token = jwt.sign({ sub: "42" }, privateKey, { algorithm: "RS256" });
+
+	assertTokenError(
+		() => jwt.verify(token, SECRET, { algorithms: ["RS256"] }),
+		"invalid_signature"
+	);
+});
+
+test("sign refuses a key of the wrong kind", () => {
+	assert.throws(() => jwt.sign({}, publicKey), jwt.TokenError);
+	assert.throws(
+		() => jwt.sign({}, SECRET, { algorithm: "RS256" }),
+		jwt.TokenError
+	);
+});
+
+test("only allowed algorithms are accepted", () => {
+	const token = jwt.sign({ sub: "42" }, SECRET);
+	assertTokenError(
+		() => jwt.verify(token, SECRET, { algorithms: ["RS256"] }),
+		"invalid_signature"
+	);
+
+	const none = `${segment({ alg: "none" })}.${segment({ sub: "admin" })}.`;
+	assertTokenError(
+		() => jwt.verify(none, SECRET, { algorithms: ["none", "HS256"] }),
+		"invalid_signature"
+	);
+});
+
+test("headers and payloads that aren't objects are malformed", () => {
+	for (const [header, payload] of [
+		[null, {}],
+		[{ alg: "HS256" }, null],
+		[[], {}],
+		["HS256", {}],
+		[{ alg: "HS256" }, 42],
+	]) {
+		const token = `${segment(header)}.${segment(payload)}.x`;
+		assertTokenError(() => jwt.verify(token, SECRET), "token_malformed");
+	}
+
+	["bnVsbA.e30.x", "a.b", "%%.%%.%%"].forEach((token) => {
+		assertTokenError(() => jwt.verify(token, SECRET), "token_malformed");
+	});
+});
+
+test("keys are picked by kid from a key map", () => {
+	const keys = { old: "old-secret", current: SECRET };
+	const token = jwt.sign({ sub: "42" }, SECRET, { keyid: "current" });
+	assert.strictEqual(jwt.verify(token, keys).sub, "42");
+
+	const unknown = jwt.sign({ sub: "42" }, SECRET, { keyid: "constructor" });
+	assertTokenError(() => jwt.verify(unknown, keys), "invalid_signature");
+});
+
+test("expired and not yet valid tokens are rejected", () => {
+	const expired = jwt.sign({ sub: "42" }, SECRET, { expiresIn: -10 });
+	assertTokenError(() => jwt.verify(expired, SECRET), "token_expired");
+	assert.strictEqual(
+		jwt.verify(expired, SECRET, { clockTolerance: 30 }).sub,
+		"42"
+	);
+
+	const early = jwt.sign({ sub: "42" }, SECRET, { notBefore: 60 });
+	assertTokenError(() => jwt.verify(early, SECRET), "token_not_active");
+});
+
+test("issuer and audience are checked when given", () => {
+	const token = jwt.sign({ sub: "42" }, SECRET, {
+		issuer: "auth",
+		audience: ["web", "mobile"],
+	});
+
+	assert.ok(jwt.verify(token, SECRET, { issuer: "auth", audience: "web" }));
+	assertTokenError(
+		() => jwt.verify(token, SECRET, { issuer: "other" }),
+		"invalid_claims"
+	);
+	assertTokenError(
+		() => jwt.verify(token, SECRET, { audience: "admin" }),
+		"invalid_claims"
+	);
+});
@@ -0,0 +1,213 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable, Writable } = require("stream");
+const { parseMultipart } = require("../utils/multipart-parser.js");
+
+const BOUNDARY = "----formdata7MA4YWxk";
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "multipart-test-"));
+test.after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+function field(name, value) {
+	return (
+		`--${BOUNDARY}\r\n` +
+		`Content-Disposition: form-data; name="${name}"\r\n\r\n` +
+		`${value}\r\n`
+	);
+}
+
+function file(name, filename, content, type = "application/octet-stream") {
+	return Buffer.concat([
+		Buffer.from(
+			`--${BOUNDARY}\r\n` +
+				`Content-Disposition: form-data; name="${name}"; ` +
+				`filename="${filename}"\r\n` +
+				`Content-Type: ${type}\r\n\r\n`
+		),
+		Buffer.from(content),
+		Buffer.from("\r\n"),
+	]);
+}
+
+function body(...parts) {
+	return Buffer.concat([
+		...parts.map((part) => Buffer.from(part)),
+		Buffer.from(`--${BOUNDARY}--\r\n`),
+	]);
+}
+
+// A request streaming `data` in chunks of `chunkSize` bytes
+function request(data, { chunkSize = data.length, contentType } = {}) {
+	const chunks = [];
+	for (let i = 0; i < data.length; i += chunkSize) {
+		chunks.push(data.subarray(i, i + chunkSize));
+	}
+
+	const req = Readable.from(chunks, { objectMode: false });
+	req.headers = {
+		"content-type":
+			contentType || `multipart/form-data; boundary=${BOUNDARY}`,
+	};
+	return req;
+}
+
+function uploads() {
+	return fs.readdirSync(uploadDir);
+}
+
+async function assertRejects(promise, statusCode) {
+	await assert.rejects(promise, (error) => {
+		assert.strictEqual(error.statusCode, statusCode, error.message);
+		return true;
+	});
+}
+
+test("fields and files are parsed whatever the chunking", async () => {
+	// Content that looks like the start of a delimiter must survive
+	const content = Buffer.concat([
+		Buffer.from("binary\r\n--"),
+		Buffer.from([0, 255, 13, 10]),
+		Buffer.from(`\r\n--${BOUNDARY.slice(0, -1)}`),
+	]);
+	const data = body(
+		field("name", "Ada"),
+		field("tag", "a"),
+		field("tag", "b"),
+		file("avatar", "C:\\Users\\ada\\me.png", content, "image/png")
+	);
+
+	for (const chunkSize of [1, 7, BOUNDARY.length + 1, data.length]) {
+		const { fields, files } = await parseMultipart(
+			request(data, { chunkSize }),
+			{ uploadDir }
+		);
+
+		assert.deepStrictEqual(fields, { name: "Ada", tag: ["a", "b"] });
+		assert.strictEqual(files.length, 1);
+		assert.strictEqual(files[0].fieldname, "avatar");
+		assert.strictEqual(files[0].filename, "me.png");
+		assert.strictEqual(files[0].mimetype, "image/png");
+		assert.strictEqual(files[0].size, content.length);
+		assert.deepStrictEqual(fs.readFileSync(files[0].path), content);
+		fs.unlinkSync(files[0].path);
+	}
+});
+
+test("a quoted boundary, a preamble and an empty file are accepted", async () => {
+	const data = Buffer.concat([
+		Buffer.from("preamble to ignore\r\n"),
+		body(field("a", ""), file("empty", "empty.txt", "")),
+	]);
+	const { fields, files } = await parseMultipart(
+		request(data, {
+			contentType: `multipart/form-data; boundary="${BOUNDARY}"`,
+		}),
+		{ uploadDir }
+	);
+
+	assert.deepStrictEqual(fields, { a: "" });
+	assert.strictEqual(files[0].size, 0);
+	fs.unlinkSync(files[0].path);
+});
+
+test("onFile receives file data instead of the upload directory", async () => {
+	const received = [];
+	const sink = new Writable({
+		write(chunk, encoding, callback) {
+			received.push(chunk);
+			callback();
+		},
+	});
+
+	const { files } = await parseMultipart(
+		request(body(file("doc", "a.txt", "hello")), { chunkSize: 3 }),
+		{ onFile: () => sink }
+	);
+
+	assert.strictEqual(Buffer.concat(received).toString(), "hello");
+	assert.strictEqual(files[0].path, null);
+	assert.strictEqual(files[0].size, 5);
+});
+
+test("a missing boundary is a 400", async () => {
+	await assertRejects(
+		parseMultipart(
+			request(Buffer.from("x"), { contentType: "multipart/form-data" })
+		),
+		400
+	);
+});
+
+test("a body cut short is a 400 and leaves no files", async () => {
+	const data = Buffer.concat([
+		Buffer.from(field("a", "1")),
+		file("f", "a.bin", "x".repeat(1000)),
+	]);
+
+	await assertRejects(
+		parseMultipart(request(data, { chunkSize: 100 }), { uploadDir }),
+		400
+	);
+	await new Promise((resolve) => setTimeout(resolve, 50));
+	assert.deepStrictEqual(uploads(), []);
+});
+
+test("limits are enforced with 413 and partial files removed", async () => {
+	const big = body(file("f", "big.bin", "x".repeat(5000)));
+	await assertRejects(
+		parseMultipart(request(big, { chunkSize: 512 }), {
+			uploadDir,
+			fileSize: 1000,
+		}),
+		413
+	);
+
+	await assertRejects(
+		parseMultipart(request(big, { chunkSize: 512 }), {
+			uploadDir,
+			totalSize: 1000,
+		}),
+		413
+	);
+
+	await assertRejects(
+		parseMultipart(request(body(field("a", "x".repeat(100)))), {
+			fieldSize: 10,
+		}),
+		413
+	);
+
+	await assertRejects(
+		parseMultipart(request(body(field("a", 1), field("b", 2))), {
+			parts: 1,
+		}),
+		413
+	);
+
+	await new Promise((resolve) => setTimeout(resolve, 50));
+	assert.deepStrictEqual(uploads(), []);
+});
+
+test("aborting the signal rejects with its reason and removes files", async () => {
+	const req = new Readable({ read() {} });
+	req.headers = {
+		"content-type": `multipart/form-data; boundary=${BOUNDARY}`,
+	};
+	const controller = new AbortController();
+	const parsing = parseMultipart(req, { uploadDir }, controller.signal);
+
+	req.push(file("f", "slow.bin", "x".repeat(100)));
+	await new Promise((resolve) => setTimeout(resolve, 20));
+	assert.strictEqual(uploads().length, 1);
+
+	const reason = Object.assign(new Error("timed out"), { statusCode: 408 });
+	controller.abort(reason);
+	await assert.rejects(parsing, reason);
+
+	await new Promise((resolve) => setTimeout(resolve, 50));
+	assert.deepStrictEqual(uploads(), []);
+});
@@ -0,0 +1,95 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseRange } = require("../utils/range-parser.js");
+
+const SIZE = 1000;
+
+test("a single range is returned with inclusive offsets", () => {
+	assert.deepStrictEqual(parseRange("bytes=0-99", SIZE), [
+		{ start: 0, end: 99 },
+	]);
+	assert.deepStrictEqual(parseRange(" Bytes = 10-10 ", SIZE), [
+		{ start: 10, end: 10 },
+	]);
+});
+
+test("an open end and an end past the size stop at the last byte", () => {
+	assert.deepStrictEqual(parseRange("bytes=900-", SIZE), [
+		{ start: 900, end: 999 },
+	]);
+	assert.deepStrictEqual(parseRange("bytes=900-5000", SIZE), [
+		{ start: 900, end: 999 },
+	]);
+});
+
+test("suffix ranges select the last N bytes", () => {
+	assert.deepStrictEqual(parseRange("bytes=-100", SIZE), [
+		{ start: 900, end: 999 },
+	]);
+	// A suffix longer than the file is the whole file
+	assert.deepStrictEqual(parseRange("bytes=-5000", SIZE), [
+		{ start: 0, end: 999 },
+	]);
+});
+
+test("overlapping, adjacent and unordered ranges are merged", () => {
+	assert.deepStrictEqual(parseRange("bytes=0-99,50-149", SIZE), [
+		{ start: 0, end: 149 },
+	]);
+	assert.deepStrictEqual(parseRange("bytes=100-199,0-99", SIZE), [
+		{ start: 0, end: 199 },
+	]);
+	assert.deepStrictEqual(parseRange("bytes=500-599,0-9,-100,20-29", SIZE), [
+		{ start: 0, end: 9 },
+		{ start: 20, end: 29 },
+		{ start: 500, end: 599 },
+		{ start: 900, end: 999 },
+	]);
+	// Many ranges over the same bytes collapse to one
+	const repeated = `bytes=${Array(40).fill("0-999").join(",")}`;
+	assert.deepStrictEqual(parseRange(repeated, SIZE), [
+		{ start: 0, end: 999 },
+	]);
+});
+
+test("unsatisfiable ranges give an empty list (answered with 416)", () => {
+	assert.deepStrictEqual(parseRange("bytes=1000-", SIZE), []);
+	assert.deepStrictEqual(parseRange("bytes=2000-3000,1000-1001", SIZE), []);
+	assert.deepStrictEqual(parseRange("bytes=-0", SIZE), []);
+	assert.deepStrictEqual(parseRange("bytes=0-", 0), []);
+
+	// Satisfiable ranges are kept when others in the list are not
+	assert.deepStrictEqual(parseRange("bytes=2000-,0-0", SIZE), [
+		{ start: 0, end: 0 },
+	]);
+});
+
+test("empty list elements are ignored", () => {
+	assert.deepStrictEqual(parseRange("bytes=, 0-9 ,,", SIZE), [
+		{ start: 0, end: 9 },
+	]);
+});
+
+test("bad syntax, other units and too many ranges are ignored", () => {
+	const ignored = [
+		undefined,
+		"",
+		"items=0-9",
+		"bytes 0-9",
+		"bytes=-",
+		"bytes=a-b",
+		"bytes=9-0",
+		"bytes=0-9;10-19",
+		"bytes=1.5-2",
+		`bytes=${Array(51).fill("0-0").join(",")}`,
+	];
+
+	for (const header of ignored) {
+		assert.strictEqual(parseRange(header, SIZE), null, String(header));
+	}
+	assert.notStrictEqual(
+		parseRange(`bytes=${Array(50).fill("0-0").join(",")}`, SIZE),
+		null
+	);
+});
@@ -0,0 +1,209 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateSchema } = require("../utils/schema.js");
+
+function keywords(errors) {
+	return errors.map(({ path, keyword }) => `${path} ${keyword}`);
+}
+
+test("coerce converts query strings to the declared types", () => {
+	const schema = {
+		page: { type: "integer" },
+		ratio: { type: "number" },
+		draft: { type: "boolean" },
+		live: { type: "boolean" },
+		tags: { type: "array", items: { type: "integer" } },
+		name: { type: "string" },
+	};
+	const { value, errors } = validateSchema(
+		{
+			page: "2",
+			ratio: "0.5",
+			draft: "true",
+			live: "0",
+			tags: "7",
+			name: "42",
+		},
+		schema,
+		{ coerce: true }
+	);
+
+	assert.deepStrictEqual(errors, []);
+	assert.deepStrictEqual(value, {
+		page: 2,
+		ratio: 0.5,
+		draft: true,
+		live: false,
+		tags: [7],
+		name: "42",
+	});
+});
+
+test("strings that aren't numbers or booleans stay type errors", () => {
+	const schema = {
+		a: { type: "number" },
+		b: { type: "number" },
+		c: { type: "integer" },
+		d: { type: "boolean" },
+	};
+	const { errors } = validateSchema(
+		{ a: "abc", b: " ", c: "1.5", d: "yes" },
+		schema,
+		{ coerce: true }
+	);
+	assert.deepStrictEqual(keywords(errors), [
+		"/a type",
+		"/b type",
+		"/c type",
+		"/d type",
+	]);
+
+	// Without coerce a numeric string is still a string
+	const plain = validateSchema({ a: "1" }, { a: { type: "number" } });
+	assert.deepStrictEqual(keywords(plain.errors), ["/a type"]);
+	assert.strictEqual(plain.errors[0].message, "must be number");
+});
+
+test("required rejects absent, null and empty values", () => {
+	const schema = { name: { type: "string", required: true } };
+
+	for (const body of [{}, { name: null }, { name: "" }]) {
+		const { errors } = validateSchema(body, schema);
+		assert.deepStrictEqual(keywords(errors), ["/name required"]);
+	}
+});
+
+test("optional fields are only skipped when absent", () => {
+	const schema = { age: { type: "integer", min: 0 } };
+
+	assert.deepStrictEqual(validateSchema({}, schema).errors, []);
+	assert.deepStrictEqual(
+		keywords(validateSchema({ age: null }, schema).errors),
+		["/age type"]
+	);
+	assert.deepStrictEqual(
+		keywords(validateSchema({ age: "" }, schema, { coerce: true }).errors),
+		["/age type"]
+	);
+});
+
+test("defaults fill absent fields", () => {
+	const schema = {
+		limit: { type: "integer", default: 10 },
+		sort: { type: "string", default: () => "name" },
+	};
+
+	assert.deepStrictEqual(validateSchema({}, schema).value, {
+		limit: 10,
+		sort: "name",
+	});
+	assert.deepStrictEqual(validateSchema({ limit: 5 }, schema).value, {
+		limit: 5,
+		sort: "name",
+	});
+});
+
+test("unknown properties are allowed, stripped or rejected", () => {
+	const schema = { a: { type: "string" } };
+	const body = { a: "x", extra: 1 };
+
+	assert.deepStrictEqual(validateSchema(body, schema).value, body);
+	assert.deepStrictEqual(
+		validateSchema(body, schema, { unknown: "strip" }).value,
+		{ a: "x" }
+	);
+	assert.deepStrictEqual(
+		keywords(validateSchema(body, schema, { unknown: "reject" }).errors),
+		["/extra unknown"]
+	);
+
+	// A node's own setting wins over the option
+	const nested = {
+		type: "object",
+		unknown: "allow",
+		properties: { a: { type: "string" } },
+	};
+	assert.deepStrictEqual(
+		validateSchema(body, nested, { unknown: "reject" }).errors,
+		[]
+	);
+
+	// Inherited names aren't mistaken for declared properties
+	const proto = validateSchema({ constructor: 1 }, schema, {
+		unknown: "reject",
+	});
+	assert.deepStrictEqual(keywords(proto.errors), ["/constructor unknown"]);
+});
+
+test("enum, bounds, lengths and patterns are checked", () => {
+	const schema = {
+		role: { type: "string", enum: ["admin", "user"] },
+		age: { type: "integer", min: 18, max: 99 },
+		code: { type: "string", minLength: 2, maxLength: 4, pattern: "^[A-Z]+$" },
+		ids: { type: "array", minItems: 1, maxItems: 2 },
+		even: { type: "integer", validate: (n) => n % 2 === 0 || "must be even" },
+	};
+
+	const { errors } = validateSchema(
+		{ role: "root", age: 12, code: "abcde", ids: [1, 2, 3], even: 3 },
+		schema
+	);
+	assert.deepStrictEqual(keywords(errors), [
+		"/role enum",
+		"/age min",
+		"/code maxLength",
+		"/code pattern",
+		"/ids maxItems",
+		"/even validate",
+	]);
+	assert.strictEqual(errors[5].message, "must be even");
+
+	const valid = validateSchema(
+		{ role: "user", age: 99, code: "AB", ids: [1], even: 4 },
+		schema
+	);
+	assert.deepStrictEqual(valid.errors, []);
+});
+
+test("nested objects and arrays report JSON pointer paths", () => {
+	const schema = {
+		items: {
+			type: "array",
+			items: {
+				type: "object",
+				properties: {
+					"a/b": { type: "string", required: true },
+					qty: { type: "integer", min: 1 },
+				},
+			},
+		},
+	};
+
+	const { errors } = validateSchema(
+		{ items: [{ "a/b": "x", qty: 1 }, { qty: 0 }] },
+		schema,
+		{},
+		"/body"
+	);
+	assert.deepStrictEqual(keywords(errors), [
+		"/body/items/1/a~1b required",
+		"/body/items/1/qty min",
+	]);
+});
+
+test("a root schema with a type is used as is", () => {
+	const { value, errors } = validateSchema("5", { type: "integer" }, {
+		coerce: true,
+	});
+	assert.strictEqual(value, 5);
+	assert.deepStrictEqual(errors, []);
+
+	const root = validateSchema([], { a: { type: "string" } });
+	assert.deepStrictEqual(keywords(root.errors), ["/ type"]);
+
+	assert.throws(
+		() => validateSchema({ a: 1 }, { a: { type: "float" } }),
+		/Unknown schema type "float" at \/a/
+	);
+});
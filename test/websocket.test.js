@@ -0,0 +1,324 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const EventEmitter = require("events");
+const {
+	WebSocket,
+	CLOSE_CODES,
+	checkHandshake,
+	acceptWebSocket,
+} = require("../utils/websocket.js");
+
+// Just enough of a net.Socket to record what the server writes
+class FakeSocket extends EventEmitter {
+	constructor() {
+		super();
+		this.chunks = [];
+		this.ended = false;
+		this.writableLength = 0;
+	}
+
+	setTimeout() {}
+	setNoDelay() {}
+	cork() {}
+	uncork() {}
+
+	write(data, callback) {
+		this.chunks.push(Buffer.from(data));
+		if (callback) process.nextTick(callback);
+		return true;
+	}
+
+	end() {
+		this.ended = true;
+	}
+
+	destroy() {
+		this.emit("close");
+	}
+
+	get written() {
+		return Buffer.concat(this.chunks);
+	}
+}
+
+// A client frame, masked unless told otherwise
+function frame(opcode, payload = "", { fin = true, mask = true } = {}) {
+	const data = Buffer.from(payload);
+	const length = data.length;
+	let header;
+
+	if (length < 126) {
+		header = Buffer.from([0, length]);
+	} else if (length < 65536) {
+		header = Buffer.alloc(4);
+		header[1] = 126;
+		header.writeUInt16BE(length, 2);
+	} else {
+		header = Buffer.alloc(10);
+		header[1] = 127;
+		header.writeBigUInt64BE(BigInt(length), 2);
+	}
+	header[0] = (fin ? 0x80 : 0) | opcode;
+	if (!mask) return Buffer.concat([header, data]);
+
+	header[1] |= 0x80;
+	const key = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+	const masked = Buffer.from(data.map((byte, i) => byte ^ key[i & 3]));
+	return Buffer.concat([header, key, masked]);
+}
+
+function closeFrame(code, reason = "") {
+	const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+	payload.writeUInt16BE(code, 0);
+	payload.write(reason, 2);
+	return frame(0x8, payload);
+}
+
+// Parses the unmasked frames the server wrote
+function serverFrames(buffer) {
+	const frames = [];
+	let offset = 0;
+
+	while (offset < buffer.length) {
+		const fin = (buffer[offset] & 0x80) !== 0;
+		const opcode = buffer[offset] & 0x0f;
+		let length = buffer[offset + 1] & 0x7f;
+		offset += 2;
+
+		if (length === 126) {
+			length = buffer.readUInt16BE(offset);
+			offset += 2;
+		} else if (length === 127) {
+			length = Number(buffer.readBigUInt64BE(offset));
+			offset += 8;
+		}
+
+		frames.push({
+			fin,
+			opcode,
+			length,
+			payload: buffer.subarray(offset, offset + length),
+		});
+		offset += length;
+	}
+
+	return frames;
+}
+
+function closeCodeOf(socket) {
+	const close = serverFrames(socket.written).find((f) => f.opcode === 0x8);
+	return close ? close.payload.readUInt16BE(0) : null;
+}
+
+function open(options = {}) {
+	const socket = new FakeSocket();
+	const ws = new WebSocket(socket, { heartbeatInterval: 0, ...options });
+	const messages = [];
+	ws.on("message", (data, isBinary) => messages.push({ data, isBinary }));
+	return { socket, ws, messages };
+}
+
+test("masked text and binary frames become messages", () => {
+	const { socket, messages } = open();
+	socket.emit("data", frame(0x1, "héllo"));
+	socket.emit("data", frame(0x2, Buffer.from([1, 2, 3])));
+
+	assert.deepStrictEqual(messages[0], { data: "héllo", isBinary: false });
+	assert.deepStrictEqual(messages[1].data, Buffer.from([1, 2, 3]));
+	assert.strictEqual(messages[1].isBinary, true);
+});
+
+test("frames split across chunks and batched in one are parsed", () => {
+	const { socket, messages } = open();
+	const data = Buffer.concat([
+		frame(0x1, "a".repeat(300)),
+		frame(0x1, "second"),
+	]);
+
+	for (const byte of data) socket.emit("data", Buffer.from([byte]));
+	socket.emit("data", Buffer.concat([frame(0x1, "x"), frame(0x1, "y")]));
+
+	assert.deepStrictEqual(
+		messages.map((m) => m.data),
+		["a".repeat(300), "second", "x", "y"]
+	);
+});
+
+test("fragmented messages are reassembled around control frames", () => {
+	const { socket, messages } = open();
+	socket.emit("data", frame(0x1, "Hel", { fin: false }));
+	socket.emit("data", frame(0x9, "are you there"));
+	socket.emit("data", frame(0x0, "lo, ", { fin: false }));
+	socket.emit("data", frame(0x0, "world"));
+
+	assert.deepStrictEqual(messages.map((m) => m.data), ["Hello, world"]);
+
+	const [pong] = serverFrames(socket.written);
+	assert.strictEqual(pong.opcode, 0xa);
+	assert.strictEqual(pong.payload.toString(), "are you there");
+});
+
+test("protocol errors fail the connection with 1002", () => {
+	const cases = {
+		"unmasked frame": [frame(0x1, "hi", { mask: false })],
+		"continuation without a start": [frame(0x0, "hi")],
+		"new message mid-fragment": [
+			frame(0x1, "a", { fin: false }),
+			frame(0x1, "b"),
+		],
+		"fragmented control frame": [frame(0x9, "", { fin: false })],
+		"oversized control frame": [frame(0x9, "x".repeat(126))],
+		"reserved bits": [Buffer.from([0xc1, 0x80, 0, 0, 0, 0])],
+		"unknown opcode": [frame(0x3, "")],
+		"one-byte close": [frame(0x8, "x")],
+	};
+
+	for (const [name, frames] of Object.entries(cases)) {
+		const { socket, messages } = open();
+		frames.forEach((data) => socket.emit("data", data));
+
+		assert.strictEqual(closeCodeOf(socket), 1002, name);
+		assert.strictEqual(socket.ended, true, name);
+		assert.strictEqual(messages.length, 0, name);
+	}
+});
+
+test("invalid UTF-8 in a text message fails with 1007", () => {
+	const { socket, messages } = open();
+	socket.emit("data", frame(0x1, Buffer.from([0xc3, 0x28])));
+
+	assert.strictEqual(closeCodeOf(socket), CLOSE_CODES.INVALID_PAYLOAD);
+	assert.strictEqual(messages.length, 0);
+});
+
+test("messages over maxPayload fail with 1009, even when fragmented", () => {
+	const whole = open({ maxPayload: 10 });
+	whole.socket.emit("data", frame(0x2, Buffer.alloc(11)));
+	assert.strictEqual(closeCodeOf(whole.socket), 1009);
+
+	const fragmented = open({ maxPayload: 10 });
+	fragmented.socket.emit("data", frame(0x2, Buffer.alloc(6), { fin: false }));
+	fragmented.socket.emit("data", frame(0x0, Buffer.alloc(6)));
+	assert.strictEqual(closeCodeOf(fragmented.socket), 1009);
+	assert.strictEqual(fragmented.messages.length, 0);
+});
+
+test("a client close is echoed and reported with its code and reason", () => {
+	const { socket, ws } = open();
+	let closed;
+	ws.on("close", (code, reason) => (closed = { code, reason }));
+
+	socket.emit("data", closeFrame(1000, "bye"));
+	assert.strictEqual(closeCodeOf(socket), 1000);
+	assert.strictEqual(socket.ended, true);
+	assert.strictEqual(ws.readyState, WebSocket.CLOSING);
+
+	socket.emit("close");
+	assert.deepStrictEqual(closed, { code: 1000, reason: "bye" });
+	assert.strictEqual(ws.readyState, WebSocket.CLOSED);
+});
+
+test("close codes are validated", () => {
+	for (const code of [999, 1004, 1005, 1006, 1015, 2999, 5000]) {
+		const { socket } = open();
+		socket.emit("data", closeFrame(code));
+		assert.strictEqual(closeCodeOf(socket), 1002, `code ${code}`);
+	}
+
+	for (const code of [1000, 1001, 1011, 3000, 4999]) {
+		const { socket } = open();
+		socket.emit("data", closeFrame(code));
+		assert.strictEqual(closeCodeOf(socket), code, `code ${code}`);
+	}
+
+	const { ws } = open();
+	assert.throws(() => ws.close(1005), /Invalid close code/);
+});
+
+test("a close frame without a code reports 1005", () => {
+	const { socket, ws } = open();
+	let code;
+	ws.on("close", (closeCode) => (code = closeCode));
+
+	socket.emit("data", frame(0x8));
+	socket.emit("close");
+	assert.strictEqual(code, CLOSE_CODES.NO_STATUS);
+});
+
+test("a socket lost without a close frame reports 1006", () => {
+	const { socket, ws } = open();
+	let code;
+	ws.on("close", (closeCode) => (code = closeCode));
+
+	socket.emit("close");
+	assert.strictEqual(code, CLOSE_CODES.ABNORMAL);
+});
+
+test("sent frames use the shortest length encoding", () => {
+	const { socket, ws } = open();
+	ws.send("hi");
+	ws.send(Buffer.alloc(300));
+	ws.send({ ok: true });
+	ws.send(Buffer.alloc(70000));
+
+	const frames = serverFrames(socket.written);
+	assert.deepStrictEqual(
+		frames.map((f) => [f.fin, f.opcode, f.length]),
+		[
+			[true, 0x1, 2],
+			[true, 0x2, 300],
+			[true, 0x1, 11],
+			[true, 0x2, 70000],
+		]
+	);
+	assert.strictEqual(frames[2].payload.toString(), '{"ok":true}');
+	assert.deepStrictEqual(
+		socket.written.subarray(0, 2),
+		Buffer.from([0x81, 0x02])
+	);
+});
+
+test("the handshake is checked and answered (RFC 6455 example key)", () => {
+	const headers = {
+		upgrade: "websocket",
+		"sec-websocket-version": "13",
+		"sec-websocket-key": "dGhlIHNhbXBsZSBub25jZQ==",
+		"sec-websocket-protocol": "chat, superchat",
+	};
+	const req = { method: "GET", headers };
+
+	assert.strictEqual(checkHandshake(req), null);
+	const post = checkHandshake({ ...req, method: "POST" });
+	assert.strictEqual(post.statusCode, 405);
+	assert.strictEqual(
+		checkHandshake({
+			method: "GET",
+			headers: { ...headers, "sec-websocket-version": "8" },
+		}).statusCode,
+		426
+	);
+	assert.strictEqual(
+		checkHandshake({
+			method: "GET",
+			headers: { ...headers, "sec-websocket-key": "c2hvcnQ=" },
+		}).statusCode,
+		400
+	);
+
+	const socket = new FakeSocket();
+	const ws = acceptWebSocket(req, socket, { "Set-Cookie": "a=1" }, {
+		heartbeatInterval: 0,
+		protocols: ["superchat", "chat"],
+	});
+	const response = socket.written.toString();
+
+	assert.match(response, /^HTTP\/1\.1 101 Switching Protocols\r\n/);
+	assert.match(
+		response,
+		/\r\nSec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=\r\n/
+	);
+	assert.match(response, /\r\nSec-WebSocket-Protocol: superchat\r\n/);
+	assert.match(response, /\r\nSet-Cookie: a=1\r\n\r\n$/);
+	assert.strictEqual(ws.protocol, "superchat");
+});
@@ -0,0 +1,135 @@
+// Named health checks, run together to answer liveness and readiness
+// probes. A check is an async function that throws (or resolves to false)
+// when unhealthy; anything else it resolves to is reported as its details.
+
+const defaults = {
+	timeout: 2000, // A check still running after this many ms fails
+	cacheTtl: 5000, // How long a result is reused, so probes don't stampede
+};
+
+function withTimeout(promise, ms) {
+	let timer;
+	const timeout = new Promise((resolve, reject) => {
+		timer = setTimeout(
+			() => reject(new Error(`Timed out after ${ms}ms`)),
+			ms
+		);
+	});
+	return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class HealthRegistry {
+	constructor(options = {}) {
+		this.options = { ...defaults, ...options };
+		this.checks = new Map(); // name -> { check, options, cached, running }
+	}
+
+	// Options, each defaulting to the registry's:
+	//   critical   a failure makes the service unhealthy (503) rather than
+	//              degraded; default true
+	//   liveness   also run for liveness probes; keep these to checks a
+	//              restart would fix, default false
+	//   timeout    ms
+	//   cacheTtl   ms
+	register(name, check, options = {}) {
+		if (this.checks.has(name)) {
+			throw new Error(`Health check "${name}" already exists`);
+		}
+
+		this.checks.set(name, {
+			check,
+			options: {
+				critical: true,
+				liveness: false,
+				timeout: this.options.timeout,
+				cacheTtl: this.options.cacheTtl,
+				...options,
+			},
+			cached: null,
+			running: null,
+		});
+		return this;
+	}
+
+	unregister(name) {
+		this.checks.delete(name);
+		return this;
+	}
+
+	// Runs one check, reusing a fresh cached result or one already running
+	runCheck(entry) {
+		const { options } = entry;
+
+		if (entry.cached && Date.now() < entry.cached.expires) {
+			return Promise.resolve({ ...entry.cached.result, cached: true });
+		}
+		if (entry.running) return entry.running;
+
+		const start = process.hrtime.bigint();
+		const result = {
+			status: "healthy",
+			critical: options.critical,
+			durationMs: 0,
+			checkedAt: null,
+			cached: false,
+		};
+
+		entry.running = withTimeout(
+			Promise.resolve().then(() => entry.check()),
+			options.timeout
+		)
+			.then(
+				(details) => {
+					if (details === false) {
+						result.status = "unhealthy";
+					} else if (details !== undefined && details !== true) {
+						result.details = details;
+					}
+				},
+				(error) => {
+					// Checks may reject with anything, not just Errors
+					result.status = "unhealthy";
+					result.error = String((error && error.message) || error);
+				}
+			)
+			.then(() => {
+				const duration = Number(process.hrtime.bigint() - start) / 1e6;
+				result.durationMs = Math.round(duration * 100) / 100;
+				result.checkedAt = new Date().toISOString();
+
+				entry.cached = { result, expires: Date.now() + options.cacheTtl };
+				return result;
+			})
+			.finally(() => {
+				entry.running = null;
+			});
+
+		return entry.running;
+	}
+
+	// Resolves to { status, checks } where status is "healthy", "degraded"
+	// when only non-critical checks failed, or "unhealthy"
+	async run({ liveness = false } = {}) {
+		const entries = [...this.checks].filter(
+			([, entry]) => !liveness || entry.options.liveness
+		);
+		const results = await Promise.all(
+			entries.map(([, entry]) => this.runCheck(entry))
+		);
+
+		const checks = {};
+		let status = "healthy";
+		entries.forEach(([name], index) => {
+			const result = results[index];
+			checks[name] = result;
+
+			if (result.status === "healthy") return;
+			status = result.critical ? "unhealthy" : status;
+			if (status === "healthy") status = "degraded";
+		});
+
+		return { status, checks };
+	}
+}
+
+module.exports = HealthRegistry;
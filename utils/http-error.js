@@ -0,0 +1,189 @@
+const http = require("http");
+const { negotiateType, appendVary } = require("./negotiate.js");
+
+// HTTP errors. Handlers throw (or pass to next()) errors such as
+// new NotFound("No such user"), and sendError() answers with RFC 9457
+// problem details, or HTML or plain text for clients that prefer them.
+
+class HttpError extends Error {
+	// Options:
+	//   headers  extra response headers, e.g. { "Retry-After": 30 }
+	//   details  members added to the problem details, e.g. { errors }
+	//   type     URI identifying the problem type, default "about:blank"
+	//   title    summary of the problem type, default the status text
+	//   expose   show the message to clients; default true below 500
+	//   cause    the error that led to this one
+	constructor(statusCode = 500, message, options = {}) {
+		super(message || http.STATUS_CODES[statusCode] || "Error", {
+			cause: options.cause,
+		});
+		this.name = this.constructor.name;
+		this.statusCode = statusCode;
+		this.headers = options.headers || {};
+		this.details = options.details || {};
+		this.type = options.type || "about:blank";
+		this.title = options.title || http.STATUS_CODES[statusCode] || "Error";
+		this.expose =
+			options.expose === undefined ? statusCode < 500 : options.expose;
+	}
+}
+
+// One subclass per status, e.g. new Conflict("Email already registered")
+const STATUS_ERRORS = {
+	BadRequest: 400,
+	Unauthorized: 401,
+	Forbidden: 403,
+	NotFound: 404,
+	MethodNotAllowed: 405,
+	NotAcceptable: 406,
+	RequestTimeout: 408,
+	Conflict: 409,
+	Gone: 410,
+	PreconditionFailed: 412,
+	PayloadTooLarge: 413,
+	UnsupportedMediaType: 415,
+	UnprocessableEntity: 422,
+	TooManyRequests: 429,
+	InternalServerError: 500,
+	NotImplemented: 501,
+	BadGateway: 502,
+	ServiceUnavailable: 503,
+	GatewayTimeout: 504,
+};
+
+const errorClasses = {};
+Object.entries(STATUS_ERRORS).forEach(([name, statusCode]) => {
+	errorClasses[name] = class extends HttpError {
+		constructor(message, options) {
+			super(statusCode, message, options);
+		}
+	};
+	Object.defineProperty(errorClasses[name], "name", { value: name });
+});
+
+// Anything thrown becomes an HttpError. Errors that carry a 4xx or 5xx
+// statusCode keep it; the rest are 500s whose message stays private.
+function toHttpError(error) {
+	if (error instanceof HttpError) return error;
+
+	const statusCode = error && (error.statusCode || error.status);
+	const isHttpStatus =
+		Number.isInteger(statusCode) && statusCode >= 400 && statusCode < 600;
+	const httpError = new HttpError(
+		isHttpStatus ? statusCode : 500,
+		error instanceof Error ? error.message : String(error),
+		{ cause: error, headers: error && error.headers }
+	);
+	if (error instanceof Error) httpError.stack = error.stack;
+	return httpError;
+}
+
+// Stack traces are only shown while developing, which has to be asked for
+// explicitly: an unset NODE_ENV counts as production
+function isDevelopment() {
+	return process.env.NODE_ENV === "development";
+}
+
+function problemDetails(error, req, options = {}) {
+	const httpError = toHttpError(error);
+	const problem = {
+		type: httpError.type,
+		title: httpError.title,
+		status: httpError.statusCode,
+	};
+
+	if (httpError.expose) problem.detail = httpError.message;
+	if (req && req.url) problem.instance = req.url.split("?")[0];
+
+	// Extension members can't replace the standard ones
+	Object.entries(httpError.details).forEach(([name, value]) => {
+		if (!(name in problem)) problem[name] = value;
+	});
+	if (req && req.id) problem.requestId = req.id;
+	if (options.stack) problem.stack = httpError.stack;
+
+	return problem;
+}
+
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+// Content type -> (problem) => body, in order of preference
+const errorFormats = {
+	"application/problem+json": (problem) => JSON.stringify(problem),
+	"application/json": (problem) => JSON.stringify(problem),
+	"text/html": (problem) => {
+		const heading = `${problem.status} ${escapeHtml(problem.title)}`;
+		const detail = problem.detail
+			? `<p>${escapeHtml(problem.detail)}</p>`
+			: "";
+		const stack = problem.stack
+			? `<pre>${escapeHtml(problem.stack)}</pre>`
+			: "";
+		return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${heading}</title></head>
+<body><h1>${heading}</h1>${detail}${stack}</body>
+</html>
+`;
+	},
+	"text/plain": (problem) =>
+		[`${problem.status} ${problem.title}`, problem.detail, problem.stack]
+			.filter(Boolean)
+			.join("\n\n") + "\n",
+};
+
+// Headers describing the failed response's body
+const ENTITY_HEADERS = [
+	"Content-Disposition",
+	"Content-Encoding",
+	"Content-Language",
+	"Content-Length",
+	"Content-Range",
+	"ETag",
+	"Last-Modified",
+];
+
+// Answers with the error in the format the client prefers, problem+json by
+// default. Options: headers to add, and stack to override isDevelopment().
+// Once headers are out the response can only be cut short.
+function sendError(req, res, error, options = {}) {
+	if (res.headersSent) {
+		res.destroy();
+		return;
+	}
+
+	const httpError = toHttpError(error);
+	const stack = options.stack === undefined ? isDevelopment() : options.stack;
+	const problem = problemDetails(httpError, req, { stack });
+
+	const accept = req && req.headers ? req.headers.accept : undefined;
+	const types = Object.keys(errorFormats);
+	// Not acceptable shouldn't hide the error itself
+	const type = negotiateType(accept, types) || types[0];
+
+	ENTITY_HEADERS.forEach((name) => res.removeHeader(name));
+	appendVary(res, "Accept");
+
+	const charset = type.startsWith("text/") ? "; charset=utf-8" : "";
+	res.writeHead(httpError.statusCode, {
+		...httpError.headers,
+		...options.headers,
+		"Content-Type": type + charset,
+	});
+	res.end(errorFormats[type](problem));
+}
+
+module.exports = {
+	HttpError,
+	...errorClasses,
+	toHttpError,
+	problemDetails,
+	sendError,
+	isDevelopment,
+};
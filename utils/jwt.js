@@ -0,0 +1,232 @@
+const crypto = require("crypto");
+
+// JSON Web Tokens (RFC 7519) signed with HS256 or RS256
+
+// `asymmetric` says which kind of key each algorithm takes, so a public key
+// can't be passed off as an HMAC secret
+const ALGORITHMS = {
+	HS256: {
+		asymmetric: false,
+		sign: (data, key) =>
+			crypto.createHmac("sha256", key).update(data).digest(),
+		verify: (data, key, signature) => {
+			const expected = crypto
+				.createHmac("sha256", key)
+				.update(data)
+				.digest();
+			return (
+				expected.length === signature.length &&
+				crypto.timingSafeEqual(expected, signature)
+			);
+		},
+	},
+	RS256: {
+		asymmetric: true,
+		sign: (data, key) => crypto.sign("sha256", Buffer.from(data), key),
+		verify: (data, key, signature) =>
+			crypto.verify("sha256", Buffer.from(data), key, signature),
+	},
+};
+
+class TokenError extends Error {
+	// code is one of: token_missing, token_malformed, invalid_signature,
+	// token_expired, token_not_active, invalid_claims
+	constructor(code, message) {
+		super(message);
+		this.name = "TokenError";
+		this.code = code;
+	}
+}
+
+function encodeSegment(value) {
+	return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decodeSegment(segment) {
+	return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+function isPlainObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// PEM text, public and private KeyObjects and { key, passphrase } objects
+// are asymmetric keys; other strings and buffers are shared secrets
+function isAsymmetricKey(key) {
+	if (key instanceof crypto.KeyObject) return key.type !== "secret";
+	if (typeof key === "string" || Buffer.isBuffer(key)) {
+		return key.includes("-----BEGIN");
+	}
+	return isPlainObject(key);
+}
+
+function checkKeyType(algorithm, key) {
+	if (ALGORITHMS[algorithm].asymmetric !== isAsymmetricKey(key)) {
+		throw new TokenError(
+			"invalid_signature",
+			`Key can't be used with algorithm ${algorithm}`
+		);
+	}
+}
+
+function now() {
+	return Math.floor(Date.now() / 1000);
+}
+
+// Options: algorithm, keyid, expiresIn and notBefore (seconds from now),
+// issuer, audience, subject
+function sign(payload, key, options = {}) {
+	const algorithm = options.algorithm || "HS256";
+	if (!Object.hasOwn(ALGORITHMS, algorithm)) {
+		throw new Error(`Unsupported algorithm ${algorithm}`);
+	}
+
+	checkKeyType(algorithm, key);
+
+	const header = { alg: algorithm, typ: "JWT" };
+	if (options.keyid) header.kid = options.keyid;
+
+	const issuedAt = now();
+	const claims = { iat: issuedAt, ...payload };
+	if (options.expiresIn !== undefined) {
+		claims.exp = issuedAt + options.expiresIn;
+	}
+	if (options.notBefore !== undefined) {
+		claims.nbf = issuedAt + options.notBefore;
+	}
+	if (options.issuer) claims.iss = options.issuer;
+	if (options.audience) claims.aud = options.audience;
+	if (options.subject) claims.sub = options.subject;
+
+	const data = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+	const signature = ALGORITHMS[algorithm].sign(data, key);
+
+	return `${data}.${signature.toString("base64url")}`;
+}
+
+// Splits a token without checking anything; throws token_malformed
+function decode(token) {
+	const parts = typeof token === "string" ? token.split(".") : [];
+	if (parts.length !== 3) {
+		throw new TokenError("token_malformed", "Token is not a JWT");
+	}
+
+	let header;
+	let payload;
+	try {
+		header = decodeSegment(parts[0]);
+		payload = decodeSegment(parts[1]);
+	} catch {
+		throw new TokenError("token_malformed", "Token is not valid JSON");
+	}
+
+	if (!isPlainObject(header) || !isPlainObject(payload)) {
+		throw new TokenError(
+			"token_malformed",
+			"Token header and payload must be JSON objects"
+		);
+	}
+
+	return {
+		header,
+		payload,
+		signature: Buffer.from(parts[2], "base64url"),
+		data: `${parts[0]}.${parts[1]}`,
+	};
+}
+
+// `key` is a secret or public key, a { [kid]: key } map for rotation, or a
+// function (header) => key. Options: algorithms (default ["HS256"]),
+// issuer, audience (string or array), clockTolerance in seconds.
+function verify(token, key, options = {}) {
+	const { header, payload, signature, data } = decode(token);
+	const algorithms = options.algorithms || ["HS256"];
+
+	const isKnown = Object.hasOwn(ALGORITHMS, String(header.alg));
+	if (!algorithms.includes(header.alg) || !isKnown) {
+		throw new TokenError(
+			"invalid_signature",
+			`Algorithm ${header.alg} is not allowed`
+		);
+	}
+
+	const verifyKey = resolveKey(key, header);
+	if (!verifyKey) {
+		throw new TokenError(
+			"invalid_signature",
+			`Unknown key id ${header.kid}`
+		);
+	}
+
+	checkKeyType(header.alg, verifyKey);
+
+	let valid;
+	try {
+		valid = ALGORITHMS[header.alg].verify(data, verifyKey, signature);
+	} catch {
+		valid = false; // e.g. a key crypto can't parse
+	}
+	if (!valid) {
+		throw new TokenError("invalid_signature", "Invalid token signature");
+	}
+
+	checkClaims(payload, options);
+	return payload;
+}
+
+function resolveKey(key, header) {
+	if (typeof key === "function") return key(header);
+
+	const isKeyMap =
+		key &&
+		typeof key === "object" &&
+		!Buffer.isBuffer(key) &&
+		!(key instanceof crypto.KeyObject);
+
+	if (!isKeyMap) return key;
+	return Object.hasOwn(key, header.kid) ? key[header.kid] : undefined;
+}
+
+function checkClaims(payload, options) {
+	const tolerance = options.clockTolerance || 0;
+	const currentTime = now();
+	const { exp, nbf } = payload;
+
+	if (typeof exp === "number" && currentTime - tolerance >= exp) {
+		const expiredAt = new Date(exp * 1000).toISOString();
+		throw new TokenError("token_expired", `Token expired at ${expiredAt}`);
+	}
+
+	if (typeof nbf === "number" && currentTime + tolerance < nbf) {
+		const activeAt = new Date(nbf * 1000).toISOString();
+		throw new TokenError(
+			"token_not_active",
+			`Token not valid before ${activeAt}`
+		);
+	}
+
+	if (options.issuer) {
+		const issuers = [].concat(options.issuer);
+		if (!issuers.includes(payload.iss)) {
+			throw new TokenError(
+				"invalid_claims",
+				`Unexpected issuer ${payload.iss}`
+			);
+		}
+	}
+
+	if (options.audience) {
+		const expected = [].concat(options.audience);
+		const actual = [].concat(payload.aud || []);
+		if (!actual.some((audience) => expected.includes(audience))) {
+			throw new TokenError("invalid_claims", "Token audience mismatch");
+		}
+	}
+}
+
+module.exports = {
+	sign,
+	verify,
+	decode,
+	TokenError,
+};
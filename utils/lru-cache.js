@@ -0,0 +1,50 @@
+// Least-recently-used cache bounded by entry count and total size. Map
+// iteration order is insertion order, so re-inserting on access keeps the
+// least recently used entry first.
+class LRUCache {
+	constructor(options = {}) {
+		this.maxEntries = options.maxEntries || 100;
+		this.maxSize = options.maxSize || Infinity;
+		// (value) => size in the same unit as maxSize
+		this.sizeOf = options.sizeOf || (() => 1);
+		this.entries = new Map();
+		this.size = 0;
+	}
+
+	get(key) {
+		if (!this.entries.has(key)) return undefined;
+
+		const entry = this.entries.get(key);
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		return entry.value;
+	}
+
+	set(key, value) {
+		const size = this.sizeOf(value);
+		if (size > this.maxSize) return;
+
+		this.delete(key);
+		this.entries.set(key, { value, size });
+		this.size += size;
+
+		while (this.entries.size > this.maxEntries || this.size > this.maxSize) {
+			this.delete(this.entries.keys().next().value);
+		}
+	}
+
+	delete(key) {
+		const entry = this.entries.get(key);
+		if (!entry) return;
+
+		this.entries.delete(key);
+		this.size -= entry.size;
+	}
+
+	clear() {
+		this.entries.clear();
+		this.size = 0;
+	}
+}
+
+module.exports = LRUCache;
@@ -0,0 +1,458 @@
+const http = require("http");
+const { monitorEventLoopDelay } = require("perf_hooks");
+const { countResponseBytes } = require("./response-size.js");
+
+// Prometheus metrics. Counters, gauges and histograms live in a Registry,
+// which renders them in the text exposition format. Registries can also be
+// snapshotted as plain objects so cluster workers can send theirs to the
+// primary to be merged.
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds
+const DURATION_BUCKETS = [
+	0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+// Bytes
+const SIZE_BUCKETS = [100, 1000, 10000, 100000, 1000000, 10000000];
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+class Metric {
+	constructor(type, { name, help = "", labelNames = [] }) {
+		if (!METRIC_NAME.test(name || "")) {
+			throw new Error(`Invalid metric name "${name}"`);
+		}
+
+		this.type = type;
+		this.name = name;
+		this.help = help;
+		this.labelNames = labelNames;
+		this.series = new Map(); // label values -> series
+	}
+
+	// Series for a set of labels, created on first use. Labels that weren't
+	// declared in labelNames are ignored.
+	get(labels = {}) {
+		const values = this.labelNames.map((name) =>
+			labels[name] === undefined ? "" : String(labels[name])
+		);
+		const key = values.join("\u0000");
+
+		if (!this.series.has(key)) {
+			const seriesLabels = {};
+			this.labelNames.forEach((name, index) => {
+				seriesLabels[name] = values[index];
+			});
+			this.series.set(key, this.createSeries(seriesLabels));
+		}
+		return this.series.get(key);
+	}
+
+	reset() {
+		this.series.clear();
+	}
+
+	toJSON() {
+		return {
+			name: this.name,
+			help: this.help,
+			type: this.type,
+			series: [...this.series.values()].map((series) => ({
+				...series,
+				labels: { ...series.labels },
+			})),
+		};
+	}
+}
+
+class Counter extends Metric {
+	constructor(options) {
+		super("counter", options);
+	}
+
+	createSeries(labels) {
+		return { labels, value: 0 };
+	}
+
+	inc(labels, amount = 1) {
+		if (typeof labels === "number") [labels, amount] = [{}, labels];
+		if (amount < 0) throw new Error("Counters can only go up");
+		this.get(labels).value += amount;
+	}
+}
+
+// options.collect, if given, runs before every snapshot to update the value
+class Gauge extends Metric {
+	constructor(options) {
+		super("gauge", options);
+		this.collect = options.collect || null;
+	}
+
+	createSeries(labels) {
+		return { labels, value: 0 };
+	}
+
+	set(labels, value) {
+		if (typeof labels === "number") [labels, value] = [{}, labels];
+		this.get(labels).value = value;
+	}
+
+	inc(labels, amount = 1) {
+		if (typeof labels === "number") [labels, amount] = [{}, labels];
+		this.get(labels).value += amount;
+	}
+
+	dec(labels, amount = 1) {
+		if (typeof labels === "number") [labels, amount] = [{}, labels];
+		this.get(labels).value -= amount;
+	}
+}
+
+class Histogram extends Metric {
+	constructor(options) {
+		super("histogram", options);
+		this.buckets = [...(options.buckets || DURATION_BUCKETS)].sort(
+			(a, b) => a - b
+		);
+	}
+
+	createSeries(labels) {
+		// Cumulative counts per bucket, as exposed
+		return {
+			labels,
+			buckets: this.buckets.map(() => 0),
+			sum: 0,
+			count: 0,
+		};
+	}
+
+	observe(labels, value) {
+		if (typeof labels === "number") [labels, value] = [{}, labels];
+
+		const series = this.get(labels);
+		this.buckets.forEach((bound, index) => {
+			if (value <= bound) series.buckets[index]++;
+		});
+		series.sum += value;
+		series.count++;
+	}
+
+	// Returns a function that observes the seconds elapsed since, with the
+	// labels given here and any passed to it
+	startTimer(labels = {}) {
+		const start = process.hrtime.bigint();
+		return (moreLabels = {}) => {
+			const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+			this.observe({ ...labels, ...moreLabels }, seconds);
+			return seconds;
+		};
+	}
+
+	toJSON() {
+		const snapshot = super.toJSON();
+		snapshot.series.forEach((series) => {
+			series.buckets = [...series.buckets];
+		});
+		return { ...snapshot, bucketBounds: this.buckets };
+	}
+}
+
+class Registry {
+	constructor() {
+		this.byName = new Map(); // name -> metric
+	}
+
+	// Registering a name twice returns the metric already registered, as
+	// long as it's of the same type
+	register(metric) {
+		const existing = this.byName.get(metric.name);
+		if (existing) {
+			if (existing.type !== metric.type) {
+				throw new Error(
+					`Metric ${metric.name} is already registered as a ${existing.type}`
+				);
+			}
+			return existing;
+		}
+
+		this.byName.set(metric.name, metric);
+		return metric;
+	}
+
+	counter(options) {
+		return this.register(new Counter(options));
+	}
+
+	gauge(options) {
+		return this.register(new Gauge(options));
+	}
+
+	histogram(options) {
+		return this.register(new Histogram(options));
+	}
+
+	get(name) {
+		return this.byName.get(name);
+	}
+
+	clear() {
+		this.byName.clear();
+	}
+
+	async snapshot() {
+		const metrics = [...this.byName.values()];
+		for (const metric of metrics) {
+			if (metric.collect) await metric.collect(metric);
+		}
+		return metrics.map((metric) => metric.toJSON());
+	}
+
+	// The registry in text exposition format
+	async metrics() {
+		return render(await this.snapshot());
+	}
+}
+
+function escapeLabelValue(value) {
+	return String(value)
+		.replace(/\\/g, "\\\\")
+		.replace(/\n/g, "\\n")
+		.replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+	const pairs = Object.entries(labels).map(
+		([name, value]) => `${name}="${escapeLabelValue(value)}"`
+	);
+	return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+	if (value === Infinity) return "+Inf";
+	if (value === -Infinity) return "-Inf";
+	return String(value);
+}
+
+function render(snapshot) {
+	const lines = [];
+
+	snapshot.forEach(({ name, help, type, series, bucketBounds }) => {
+		const escapedHelp = help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+		lines.push(`# HELP ${name} ${escapedHelp}`, `# TYPE ${name} ${type}`);
+
+		series.forEach(({ labels, value, buckets, sum, count }) => {
+			if (type !== "histogram") {
+				lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+				return;
+			}
+
+			bucketBounds.forEach((bound, index) => {
+				const le = formatLabels({ ...labels, le: formatValue(bound) });
+				lines.push(`${name}_bucket${le} ${buckets[index]}`);
+			});
+			const inf = formatLabels({ ...labels, le: "+Inf" });
+			lines.push(`${name}_bucket${inf} ${count}`);
+			lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+			lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+		});
+	});
+
+	return lines.join("\n") + "\n";
+}
+
+// Combines snapshots from several processes, given as [{ worker, snapshot }].
+// Counters and histograms are summed; gauges keep one series per process
+// with an added "worker" label, since summing lag or memory means little.
+function mergeSnapshots(entries) {
+	const merged = new Map(); // name -> metric snapshot
+	const seriesIndex = new Map(); // name + labels -> merged series
+
+	entries.forEach(({ worker, snapshot }) => {
+		snapshot.forEach((metric) => {
+			if (!merged.has(metric.name)) {
+				merged.set(metric.name, { ...metric, series: [] });
+			}
+			const target = merged.get(metric.name);
+
+			metric.series.forEach((series) => {
+				if (metric.type === "gauge") {
+					target.series.push({
+						...series,
+						labels: { ...series.labels, worker: String(worker) },
+					});
+					return;
+				}
+
+				const key = `${metric.name}${formatLabels(series.labels)}`;
+				const existing = seriesIndex.get(key);
+				if (!existing) {
+					const copy = { ...series };
+					if (series.buckets) copy.buckets = [...series.buckets];
+					seriesIndex.set(key, copy);
+					target.series.push(copy);
+					return;
+				}
+
+				if (metric.type === "counter") {
+					existing.value += series.value;
+				} else {
+					series.buckets.forEach((count, index) => {
+						existing.buckets[index] += count;
+					});
+					existing.sum += series.sum;
+					existing.count += series.count;
+				}
+			});
+		});
+	});
+
+	return [...merged.values()];
+}
+
+// Event loop lag and memory usage. Lag is measured between snapshots, so
+// each scrape reports the lag since the previous one.
+function collectProcessMetrics(registry) {
+	if (registry.get("nodejs_eventloop_lag_seconds")) return;
+
+	// The timer's own interval is included in each sample
+	const resolution = 10; // ms
+	const delay = monitorEventLoopDelay({ resolution });
+	delay.enable();
+	const lag = (ns) => Math.max(0, ns / 1e6 - resolution) / 1000;
+
+	registry.gauge({
+		name: "nodejs_eventloop_lag_seconds",
+		help: "Mean event loop delay since the last scrape.",
+		collect: (gauge) => {
+			gauge.set(delay.count > 0 ? lag(delay.mean) : 0);
+		},
+	});
+	registry.gauge({
+		name: "nodejs_eventloop_lag_p99_seconds",
+		help: "99th percentile event loop delay since the last scrape.",
+		collect: (gauge) => gauge.set(lag(delay.percentile(99))),
+	});
+	registry.gauge({
+		name: "nodejs_eventloop_lag_max_seconds",
+		help: "Longest event loop delay since the last scrape.",
+		collect: (gauge) => {
+			gauge.set(lag(delay.max));
+			// Registered last, so the window restarts once all are read
+			delay.reset();
+		},
+	});
+
+	const memory = (field) => (gauge) =>
+		gauge.set(process.memoryUsage()[field]);
+	registry.gauge({
+		name: "process_resident_memory_bytes",
+		help: "Resident set size in bytes.",
+		collect: memory("rss"),
+	});
+	registry.gauge({
+		name: "nodejs_heap_size_total_bytes",
+		help: "V8 heap size in bytes.",
+		collect: memory("heapTotal"),
+	});
+	registry.gauge({
+		name: "nodejs_heap_size_used_bytes",
+		help: "V8 heap in use in bytes.",
+		collect: memory("heapUsed"),
+	});
+	registry.gauge({
+		name: "nodejs_external_memory_bytes",
+		help: "Memory used by C++ objects bound to JavaScript, in bytes.",
+		collect: memory("external"),
+	});
+}
+
+// Request metrics labelled by method, route pattern and status. Returns
+// track(req, res), to be called once per request as it comes in.
+//
+// Options:
+//   buckets      request duration buckets in seconds
+//   sizeBuckets  request and response size buckets in bytes
+function httpMetrics(registry, options = {}) {
+	const buckets = options.buckets || DURATION_BUCKETS;
+	const sizeBuckets = options.sizeBuckets || SIZE_BUCKETS;
+	const labelNames = ["method", "route", "status"];
+
+	const requests = registry.counter({
+		name: "http_requests_total",
+		help: "HTTP requests completed.",
+		labelNames,
+	});
+	const duration = registry.histogram({
+		name: "http_request_duration_seconds",
+		help: "Time from receiving a request to finishing its response.",
+		labelNames,
+		buckets,
+	});
+	const inFlight = registry.gauge({
+		name: "http_requests_in_flight",
+		help: "HTTP requests being handled.",
+	});
+	const requestSize = registry.histogram({
+		name: "http_request_size_bytes",
+		help: "Request body sizes declared by Content-Length.",
+		labelNames: ["method", "route"],
+		buckets: sizeBuckets,
+	});
+	const responseSize = registry.histogram({
+		name: "http_response_size_bytes",
+		help: "Response body bytes sent.",
+		labelNames,
+		buckets: sizeBuckets,
+	});
+
+	return function track(req, res) {
+		const endTimer = duration.startTimer();
+		inFlight.inc();
+
+		const bytesSent = countResponseBytes(res);
+
+		let done = false;
+		const finish = () => {
+			if (done) return;
+			done = true;
+			inFlight.dec();
+
+			// The pattern keeps /users/1 and /users/2 in one series; requests
+			// answered before any route matched share "unmatched"
+			const method = http.METHODS.includes(req.method)
+				? req.method
+				: "OTHER";
+			const route = req.route ? req.route.path : "unmatched";
+			const labels = { method, route, status: res.statusCode };
+
+			requests.inc(labels);
+			endTimer(labels);
+			responseSize.observe(labels, bytesSent());
+
+			const declared = parseInt(req.headers["content-length"], 10);
+			if (declared >= 0) requestSize.observe({ method, route }, declared);
+		};
+
+		res.on("finish", finish);
+		res.on("close", finish);
+	};
+}
+
+// Shared by the server and middleware that reports its own metrics
+const registry = new Registry();
+
+module.exports = {
+	Registry,
+	Counter,
+	Gauge,
+	Histogram,
+	CONTENT_TYPE,
+	DURATION_BUCKETS,
+	SIZE_BUCKETS,
+	registry,
+	render,
+	mergeSnapshots,
+	collectProcessMetrics,
+	httpMetrics,
+};
@@ -0,0 +1,321 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { BadRequest, PayloadTooLarge } = require("./http-error.js");
+
+const CRLF = Buffer.from("\r\n");
+const HEADER_END = Buffer.from("\r\n\r\n");
+const MAX_HEADER_SIZE = 16 * 1024;
+
+const defaults = {
+	uploadDir: os.tmpdir(),
+	fileSize: 10 * 1024 * 1024, // 10MB per file
+	totalSize: 50 * 1024 * 1024, // 50MB per request
+	fieldSize: 1024 * 1024, // 1MB per text field
+	parts: 100,
+	// Optional ({ fieldname, filename, mimetype }) => Writable; when set,
+	// file parts are written there instead of to uploadDir
+	onFile: null,
+};
+
+function getBoundary(contentType) {
+	const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+	return match ? (match[1] || match[2]).trim() : null;
+}
+
+function parsePartHeaders(raw) {
+	const headers = {};
+
+	raw.split("\r\n").forEach((line) => {
+		const index = line.indexOf(":");
+		if (index === -1) return;
+		headers[line.slice(0, index).trim().toLowerCase()] = line
+			.slice(index + 1)
+			.trim();
+	});
+
+	const disposition = headers["content-disposition"] || "";
+	const name = disposition.match(/\bname="([^"]*)"/i);
+	const filename = disposition.match(/\bfilename="([^"]*)"/i);
+
+	return {
+		fieldname: name ? name[1] : null,
+		// Some browsers send the full client path; keep only the base name
+		filename: filename
+			? path.basename(filename[1].replace(/\\/g, "/"))
+			: null,
+		mimetype: headers["content-type"] || "text/plain",
+	};
+}
+
+// Streams a multipart/form-data request. Text fields are collected into
+// `fields`; file parts are written to disk (or options.onFile) as they
+// arrive so binary data is never decoded or held in memory whole.
+// Aborting `signal` stops parsing, removes files written so far and
+// rejects with its reason
+function parseMultipart(req, options = {}, signal) {
+	const config = { ...defaults, ...options };
+	const boundary = getBoundary(req.headers["content-type"] || "");
+
+	return new Promise((resolve, reject) => {
+		if (!boundary) {
+			reject(new BadRequest("Missing multipart boundary"));
+			return;
+		}
+
+		// Parts are separated by CRLF + "--" + boundary; seeding the buffer
+		// with a CRLF lets the very first boundary match the same delimiter
+		const delimiter = Buffer.from(`\r\n--${boundary}`);
+		let buffer = CRLF;
+		let state = "preamble";
+		let part = null;
+		let partCount = 0;
+		let totalSize = 0;
+		let finished = false;
+
+		const fields = {};
+		const files = [];
+		const pendingWrites = [];
+
+		function fail(error) {
+			if (finished) return;
+			finished = true;
+
+			req.removeListener("data", onData);
+			req.removeListener("end", onEnd);
+			if (signal) signal.removeEventListener("abort", onAbort);
+			req.resume(); // Discard the rest of the body
+
+			const removeFiles = () => removeUploads(files);
+
+			// Wait for the open sink to close, or it could recreate its file
+			if (part && part.sink && !part.sink.destroyed) {
+				part.sink.once("close", removeFiles);
+				part.sink.destroy();
+			} else {
+				removeFiles();
+			}
+
+			reject(error);
+		}
+
+		function addField(name, value) {
+			if (!(name in fields)) {
+				fields[name] = value;
+			} else if (Array.isArray(fields[name])) {
+				fields[name].push(value);
+			} else {
+				fields[name] = [fields[name], value];
+			}
+		}
+
+		function startPart(headers) {
+			if (++partCount > config.parts) {
+				throw new PayloadTooLarge(
+					`Too many parts (limit ${config.parts})`
+				);
+			}
+
+			part = { ...headers, size: 0, chunks: [] };
+			if (!part.filename) return;
+
+			const file = {
+				fieldname: part.fieldname,
+				filename: part.filename,
+				mimetype: part.mimetype,
+				size: 0,
+				path: null,
+			};
+
+			if (config.onFile) {
+				part.sink = config.onFile({ ...file });
+			} else {
+				const name = crypto.randomBytes(16).toString("hex");
+				file.path = path.join(config.uploadDir, `upload-${name}`);
+				part.sink = fs.createWriteStream(file.path);
+			}
+
+			part.file = file;
+			files.push(file);
+
+			pendingWrites.push(
+				new Promise((done, failed) => {
+					part.sink.on("finish", done);
+					part.sink.on("error", failed);
+				})
+			);
+			part.sink.on("error", fail);
+		}
+
+		function writePart(data) {
+			if (data.length === 0) return;
+			part.size += data.length;
+
+			if (!part.file) {
+				if (part.size > config.fieldSize) {
+					throw new PayloadTooLarge(
+						`Field "${part.fieldname}" exceeds ${config.fieldSize} bytes`
+					);
+				}
+				part.chunks.push(data);
+				return;
+			}
+
+			if (part.size > config.fileSize) {
+				throw new PayloadTooLarge(
+					`File "${part.filename}" exceeds ${config.fileSize} bytes`
+				);
+			}
+
+			part.file.size = part.size;
+			if (!part.sink.write(data)) {
+				// Let the sink catch up before reading more of the request
+				req.pause();
+				part.sink.once("drain", () => req.resume());
+			}
+		}
+
+		function endPart() {
+			if (part.file) {
+				part.sink.end();
+			} else if (part.fieldname !== null) {
+				addField(
+					part.fieldname,
+					Buffer.concat(part.chunks).toString("utf8")
+				);
+			}
+			part = null;
+		}
+
+		function processBuffer() {
+			while (!finished) {
+				if (state === "preamble") {
+					const index = buffer.indexOf(delimiter);
+					if (index === -1) {
+						// Keep enough to match a delimiter split across chunks
+						buffer = buffer.slice(
+							Math.max(0, buffer.length - delimiter.length)
+						);
+						return;
+					}
+					buffer = buffer.slice(index + delimiter.length);
+					state = "boundary";
+				} else if (state === "boundary") {
+					if (buffer.length < 2) return;
+
+					if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+						// "--" after the delimiter closes the body
+						state = "end";
+						return;
+					}
+
+					// Skip transport padding up to the CRLF
+					const index = buffer.indexOf(CRLF);
+					if (index === -1) return;
+					buffer = buffer.slice(index + CRLF.length);
+					state = "headers";
+				} else if (state === "headers") {
+					if (buffer.length < 2) return;
+
+					// A part without headers has its blank line right away
+					const noHeaders = buffer[0] === 0x0d && buffer[1] === 0x0a;
+					const index = noHeaders ? 0 : buffer.indexOf(HEADER_END);
+					if (index === -1) {
+						if (buffer.length > MAX_HEADER_SIZE) {
+							throw new PayloadTooLarge(
+								"Multipart headers too large"
+							);
+						}
+						return;
+					}
+
+					const rawHeaders = buffer.slice(0, index).toString("utf8");
+					startPart(parsePartHeaders(rawHeaders));
+					buffer = buffer.slice(
+						index + (noHeaders ? CRLF.length : HEADER_END.length)
+					);
+					state = "body";
+				} else if (state === "body") {
+					const index = buffer.indexOf(delimiter);
+					if (index === -1) {
+						// All but a possible partial delimiter is data
+						const safeLength = buffer.length - delimiter.length + 1;
+						if (safeLength > 0) {
+							writePart(buffer.slice(0, safeLength));
+							buffer = buffer.slice(safeLength);
+						}
+						return;
+					}
+
+					writePart(buffer.slice(0, index));
+					endPart();
+					buffer = buffer.slice(index + delimiter.length);
+					state = "boundary";
+				} else {
+					return;
+				}
+			}
+		}
+
+		function onData(chunk) {
+			totalSize += chunk.length;
+			if (totalSize > config.totalSize) {
+				fail(
+					new PayloadTooLarge(
+						`Request body exceeds ${config.totalSize} bytes`
+					)
+				);
+				return;
+			}
+
+			buffer = Buffer.concat([buffer, chunk]);
+			try {
+				processBuffer();
+			} catch (error) {
+				fail(error);
+			}
+		}
+
+		function onEnd() {
+			if (finished) return;
+
+			if (state !== "end") {
+				fail(new BadRequest("Unexpected end of multipart body"));
+				return;
+			}
+
+			finished = true;
+			Promise.all(pendingWrites)
+				.then(() => resolve({ fields, files }))
+				.catch(reject);
+		}
+
+		function onAbort() {
+			fail(signal.reason);
+		}
+
+		req.on("data", onData);
+		req.on("end", onEnd);
+		req.on("error", fail);
+		if (signal) signal.addEventListener("abort", onAbort);
+		req.on("aborted", () => {
+			fail(
+				new BadRequest("Request aborted before the body was received")
+			);
+		});
+	});
+}
+
+// Deletes the files parseMultipart() wrote to the upload directory
+function removeUploads(files) {
+	files.forEach((file) => {
+		if (file.path) fs.unlink(file.path, () => {});
+	});
+}
+
+module.exports = {
+	parseMultipart,
+	removeUploads,
+	defaults,
+};
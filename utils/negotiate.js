@@ -0,0 +1,116 @@
+// Accept-* header parsing and negotiation
+
+// Parses "gzip;q=0.8, br" into [{ value, q, params }] ordered by preference.
+// Entries with equal q keep their header order.
+function parseAccept(header) {
+	if (!header) return [];
+
+	return header
+		.split(",")
+		.map((entry, index) => {
+			const [value, ...rawParams] = entry.trim().split(";");
+			const params = {};
+			let q = 1;
+
+			rawParams.forEach((param) => {
+				const [key, val = ""] = param.trim().split("=");
+				if (key.toLowerCase() === "q") {
+					q = Math.min(Math.max(parseFloat(val) || 0, 0), 1);
+				} else if (key) {
+					params[key.toLowerCase()] = val.replace(/^"|"$/g, "");
+				}
+			});
+
+			return { value: value.trim().toLowerCase(), q, params, index };
+		})
+		.filter((entry) => entry.value)
+		.sort((a, b) => b.q - a.q || a.index - b.index)
+		.map(({ value, q, params }) => ({ value, q, params }));
+}
+
+// Picks the content coding to use from `available` (in server preference
+// order), falling back to "identity". Returns null if identity was ruled
+// out too and nothing else is acceptable.
+function negotiateEncoding(header, available) {
+	// No header means any coding is acceptable, but identity is safest
+	if (header === undefined) return "identity";
+
+	const accepted = parseAccept(header);
+	const qualityOf = (encoding) => {
+		const exact = accepted.find((entry) => entry.value === encoding);
+		if (exact) return exact.q;
+
+		const wildcard = accepted.find((entry) => entry.value === "*");
+		if (wildcard) return wildcard.q;
+
+		// Identity is acceptable unless excluded explicitly (RFC 9110 12.5.3)
+		return encoding === "identity" ? 1 : 0;
+	};
+
+	// On equal q the earlier entry wins, so identity only when preferred
+	let best = null;
+	let bestQ = 0;
+	[...available, "identity"].forEach((encoding) => {
+		const q = qualityOf(encoding);
+		if (q > bestQ) {
+			best = encoding;
+			bestQ = q;
+		}
+	});
+
+	return best;
+}
+
+// Picks the media type to respond with from `available` (in server
+// preference order), using the most specific Accept entry that matches each
+// one, so "text/*;q=0.5, text/csv" prefers CSV and "text/csv;q=0" rules it
+// out. No header means the first; returns null if none is acceptable.
+function negotiateType(header, available) {
+	if (!header) return available[0] || null;
+
+	const accepted = parseAccept(header);
+	const qualityOf = (type) => {
+		const [major] = type.split("/");
+		const match =
+			accepted.find((entry) => entry.value === type) ||
+			accepted.find((entry) => entry.value === `${major}/*`) ||
+			accepted.find((entry) => entry.value === "*/*");
+		return match ? match.q : 0;
+	};
+
+	let best = null;
+	let bestQ = 0;
+	available.forEach((type) => {
+		// Parameters such as charset don't take part in matching
+		const q = qualityOf(type.split(";")[0].trim().toLowerCase());
+		if (q > bestQ) {
+			best = type;
+			bestQ = q;
+		}
+	});
+
+	return best;
+}
+
+// Adds a request header the response varies on, keeping those already listed
+function appendVary(res, field) {
+	const vary = res.getHeader("Vary");
+	if (!vary) {
+		res.setHeader("Vary", field);
+		return;
+	}
+
+	const fields = String(vary)
+		.split(",")
+		.map((value) => value.trim().toLowerCase());
+	if (!fields.includes("*") && !fields.includes(field.toLowerCase())) {
+		res.setHeader("Vary", `${vary}, ${field}`);
+	}
+}
+
+module.exports = {
+	parseAccept,
+	negotiateEncoding,
+	negotiateType,
+	appendVary,
+};
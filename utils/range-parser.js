@@ -0,0 +1,71 @@
+// Range header parsing (RFC 9110 14.2)
+
+// More ranges than this in one request is treated as abuse and ignored
+const MAX_RANGES = 50;
+
+// Parses a Range header against a representation of `size` bytes.
+// Returns null when the header should be ignored (unknown unit or bad
+// syntax), an empty array when no range is satisfiable, or the satisfiable
+// ranges as [{ start, end }] with inclusive offsets. Overlapping and
+// adjacent ranges are merged (RFC 9110 14.3), so "bytes=0-99,50-149" or
+// many small ranges over the same bytes can't multiply the response size.
+function parseRange(header, size) {
+	const match = /^\s*bytes\s*=(.*)$/i.exec(header || "");
+	if (!match) return null;
+
+	const specs = match[1].split(",").map((spec) => spec.trim());
+	if (specs.length > MAX_RANGES) return null;
+
+	const ranges = [];
+	for (const spec of specs) {
+		// Empty list elements are allowed (RFC 9110 5.6.1)
+		if (!spec) continue;
+
+		const parts = /^(\d*)-(\d*)$/.exec(spec);
+		if (!parts || (!parts[1] && !parts[2])) return null;
+
+		let start;
+		let end;
+
+		if (!parts[1]) {
+			// Suffix range: the last N bytes
+			const suffix = parseInt(parts[2], 10);
+			if (suffix === 0) continue;
+
+			start = Math.max(size - suffix, 0);
+			end = size - 1;
+		} else {
+			start = parseInt(parts[1], 10);
+			end = parts[2] ? parseInt(parts[2], 10) : Infinity;
+
+			if (end < start) return null;
+			end = Math.min(end, size - 1);
+		}
+
+		// A range starting past the end can't be satisfied
+		if (start < size) ranges.push({ start, end });
+	}
+
+	return mergeRanges(ranges);
+}
+
+// Sorts ranges by offset and coalesces any that overlap or touch
+function mergeRanges(ranges) {
+	const sorted = [...ranges].sort((a, b) => a.start - b.start);
+	const merged = [];
+
+	for (const range of sorted) {
+		const last = merged[merged.length - 1];
+		if (last && range.start <= last.end + 1) {
+			last.end = Math.max(last.end, range.end);
+		} else {
+			merged.push({ ...range });
+		}
+	}
+
+	return merged;
+}
+
+module.exports = {
+	parseRange,
+};
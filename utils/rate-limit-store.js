@@ -0,0 +1,247 @@
+// Rate limiting algorithms and the stores that run them.
+//
+// Algorithms are pure functions of (state, now, options) so a store can
+// apply them wherever the state lives, including in the cluster primary for
+// a store shared by worker processes. Each returns the next state and
+// { allowed, limit, remaining, resetMs } where resetMs is how long until the
+// client has its full quota back (or, when rejected, may retry).
+
+const cluster = require("cluster");
+
+const algorithms = {
+	// Counts hits in consecutive windows of windowMs
+	"fixed-window"(state, now, { limit, windowMs }) {
+		if (!state || now >= state.resetAt) {
+			state = { count: 0, resetAt: now + windowMs };
+		}
+
+		const allowed = state.count < limit;
+		if (allowed) state.count++;
+
+		return {
+			state,
+			expiresAt: state.resetAt,
+			result: {
+				allowed,
+				limit,
+				remaining: limit - state.count,
+				resetMs: state.resetAt - now,
+			},
+		};
+	},
+
+	// Remembers each hit and counts those within the last windowMs
+	"sliding-log"(state, now, { limit, windowMs }) {
+		const hits = (state ? state.hits : []).filter(
+			(time) => now - time < windowMs
+		);
+
+		const allowed = hits.length < limit;
+		if (allowed) hits.push(now);
+
+		// The oldest hit leaving the window frees the next slot
+		const resetMs = hits.length > 0 ? hits[0] + windowMs - now : 0;
+
+		return {
+			state: { hits },
+			expiresAt: now + windowMs,
+			result: {
+				allowed,
+				limit,
+				remaining: limit - hits.length,
+				resetMs,
+			},
+		};
+	},
+
+	// Holds up to `limit` tokens, refilled evenly over windowMs; allows
+	// bursts of `limit` then a steady limit/windowMs rate
+	"token-bucket"(state, now, { limit, windowMs }) {
+		const refillPerMs = limit / windowMs;
+		let tokens = limit;
+
+		if (state) {
+			const elapsed = now - state.updatedAt;
+			tokens = Math.min(limit, state.tokens + elapsed * refillPerMs);
+		}
+
+		const allowed = tokens >= 1;
+		if (allowed) tokens -= 1;
+
+		const resetMs = allowed
+			? Math.ceil((limit - tokens) / refillPerMs)
+			: Math.ceil((1 - tokens) / refillPerMs);
+
+		return {
+			state: { tokens, updatedAt: now },
+			expiresAt: now + Math.ceil((limit - tokens) / refillPerMs),
+			result: {
+				allowed,
+				limit,
+				remaining: Math.floor(tokens),
+				resetMs,
+			},
+		};
+	},
+};
+
+// Stores implement hit() and reset(); both may be async
+class RateLimitStore {
+	async hit(key, algorithm, options) {
+		throw new Error(`${this.constructor.name} must implement hit()`);
+	}
+
+	async reset(key) {
+		throw new Error(`${this.constructor.name} must implement reset()`);
+	}
+}
+
+function runAlgorithm(name, state, options) {
+	const algorithm = algorithms[name];
+	if (!algorithm) {
+		throw new Error(`Unknown rate limit algorithm "${name}"`);
+	}
+	return algorithm(state, Date.now(), options);
+}
+
+// Keeps counters in process memory
+class MemoryStore extends RateLimitStore {
+	constructor(options = {}) {
+		super();
+		this.entries = new Map();
+
+		const pruneInterval = options.pruneInterval || 60000;
+		this.timer = setInterval(() => this.prune(), pruneInterval);
+		this.timer.unref();
+	}
+
+	hitSync(key, algorithm, options) {
+		const entry = this.entries.get(key);
+		const { state, expiresAt, result } = runAlgorithm(
+			algorithm,
+			entry && entry.state,
+			options
+		);
+
+		this.entries.set(key, { state, expiresAt });
+		return result;
+	}
+
+	async hit(key, algorithm, options) {
+		return this.hitSync(key, algorithm, options);
+	}
+
+	async reset(key) {
+		this.entries.delete(key);
+	}
+
+	prune() {
+		const now = Date.now();
+		for (const [key, entry] of this.entries) {
+			if (entry.expiresAt <= now) {
+				this.entries.delete(key);
+			}
+		}
+	}
+}
+
+const MESSAGE_TYPE = "rate-limit";
+
+// Requests awaiting the primary's answer, shared by every ClusterStore in
+// the worker so ids are unique and each reply reaches the store that asked
+const pending = new Map(); // id -> { resolve, reject, timer }
+let nextId = 0;
+let listening = false;
+
+function onReply(message) {
+	if (!message || message.type !== MESSAGE_TYPE) return;
+
+	const request = pending.get(message.id);
+	if (!request) return;
+
+	pending.delete(message.id);
+	clearTimeout(request.timer);
+
+	if (message.error) {
+		request.reject(new Error(message.error));
+	} else {
+		request.resolve(message.result);
+	}
+}
+
+// Shares counters between cluster workers over IPC. Workers send each hit
+// to the primary, which runs it against one MemoryStore; call
+// ClusterStore.serve(cluster) in the primary. Outside a worker it behaves
+// like a MemoryStore.
+class ClusterStore extends RateLimitStore {
+	constructor(options = {}) {
+		super();
+		this.timeout = options.timeout || 1000;
+		this.local = cluster.isWorker ? null : new MemoryStore();
+
+		if (!this.local && !listening) {
+			listening = true;
+			process.on("message", onReply);
+		}
+	}
+
+	send(payload) {
+		return new Promise((resolve, reject) => {
+			const id = ++nextId;
+			const timer = setTimeout(() => {
+				pending.delete(id);
+				reject(new Error("Rate limit store did not answer in time"));
+			}, this.timeout);
+
+			pending.set(id, { resolve, reject, timer });
+			process.send({ type: MESSAGE_TYPE, id, ...payload });
+		});
+	}
+
+	async hit(key, algorithm, options) {
+		if (this.local) return this.local.hit(key, algorithm, options);
+		return this.send({ action: "hit", key, algorithm, options });
+	}
+
+	async reset(key) {
+		if (this.local) return this.local.reset(key);
+		await this.send({ action: "reset", key });
+	}
+
+	// Answers hits from every current and future worker
+	static serve(cluster, store = new MemoryStore()) {
+		const listen = (worker) => {
+			worker.on("message", (message) => {
+				if (!message || message.type !== MESSAGE_TYPE) return;
+
+				const reply = { type: MESSAGE_TYPE, id: message.id };
+				try {
+					if (message.action === "reset") {
+						store.reset(message.key);
+					} else {
+						reply.result = store.hitSync(
+							message.key,
+							message.algorithm,
+							message.options
+						);
+					}
+				} catch (error) {
+					reply.error = error.message;
+				}
+
+				if (worker.isConnected()) worker.send(reply);
+			});
+		};
+
+		Object.values(cluster.workers).forEach(listen);
+		cluster.on("fork", listen);
+		return store;
+	}
+}
+
+module.exports = {
+	algorithms,
+	RateLimitStore,
+	MemoryStore,
+	ClusterStore,
+};
@@ -1,7 +1,14 @@
 const url = require("url");
 const querystring = require("querystring");
+const {
+	parseMultipart,
+	defaults: multipartDefaults,
+} = require("./multipart-parser.js");
+const { HttpError } = require("./http-error.js");
 
-async function parseRequest(req) {
+// Parses the URL into req.query and req.pathname. The body is read later
+// by parseBody(), once the logger and other early middleware have run.
+function parseRequest(req) {
 	const parsedUrl = url.parse(req.url, true);
 
 	// Enhanced request object
@@ -9,76 +16,235 @@ async function parseRequest(req) {
 	req.query = parsedUrl.query;
 	req.pathname = parsedUrl.pathname;
 
-	// Parse body based on content type
-	if (req.method === "POST" || req.method === "PUT") {
-		await parseRequestBody(req);
-	}
+	return req;
+}
 
+async function parseBody(req, options = {}) {
+	if (hasBody(req)) {
+		await parseRequestBody(req, options);
+	}
 	return req;
 }
 
-function parseRequestBody(req) {
-	return new Promise((resolve, reject) => {
-		const contentType = req.headers["content-type"] || "";
-		let body = "";
+// Requests whose client waits for "100 Continue" before sending the body,
+// held until a body parser has checked the declared length
+const awaitingContinue = new WeakMap(); // req -> res
+
+function holdContinue(req, res) {
+	awaitingContinue.set(req, res);
+}
+
+function releaseContinue(req) {
+	const res = awaitingContinue.get(req);
+	if (!res) return;
+
+	awaitingContinue.delete(req);
+	if (!res.headersSent) res.writeContinue();
+}
+
+// POST, PUT and PATCH always get a body; other methods only if they send one
+function hasBody(req) {
+	if (["POST", "PUT", "PATCH"].includes(req.method)) return true;
+
+	return (
+		req.headers["transfer-encoding"] !== undefined ||
+		parseInt(req.headers["content-length"], 10) > 0
+	);
+}
+
+// Body size limits per content type, in bytes. Multipart bodies use the
+// multipart parser's totalSize instead.
+const defaultLimits = {
+	json: 1024 * 1024, // 1MB
+	urlencoded: 100 * 1024, // 100KB
+	text: 1024 * 1024, // 1MB, anything else
+};
+
+// Give up on a body after 30 seconds without any of it arriving; a slow but
+// steady upload is fine however long it takes
+const defaultBodyTimeout = 30000;
+
+function bodyError(statusCode, message) {
+	return new HttpError(statusCode, message);
+}
+
+function getBodyType(req) {
+	const contentType = req.headers["content-type"] || "";
+
+	if (contentType.includes("application/json")) return "json";
+	if (contentType.includes("application/x-www-form-urlencoded")) {
+		return "urlencoded";
+	}
+	if (contentType.includes("multipart/form-data")) return "multipart";
+	return "text";
+}
+
+function getBodyLimit(req, options = {}) {
+	const type = getBodyType(req);
+
+	if (type === "multipart") {
+		return { ...multipartDefaults, ...options.multipart }.totalSize;
+	}
+	return { ...defaultLimits, ...options.limits }[type];
+}
+
+// Rejects a declared Content-Length over the limit before reading anything
+function checkContentLength(req, options = {}) {
+	const declared = parseInt(req.headers["content-length"], 10);
+	const limit = getBodyLimit(req, options);
+
+	if (declared > limit) {
+		throw bodyError(413, `Request body exceeds ${limit} bytes`);
+	}
+}
+
+async function parseRequestBody(req, options = {}) {
+	const type = getBodyType(req);
 
-		req.on("data", (chunk) => {
-			body += chunk.toString();
-		});
+	// Multipart bodies are left unread for the multipart() middleware, so
+	// only routes that take uploads ever write files to disk
+	if (type === "multipart") return;
 
-		req.on("end", () => {
+	checkContentLength(req, options);
+	releaseContinue(req);
+
+	const timeout = options.bodyTimeout ?? defaultBodyTimeout;
+	const idle = idleTimeout(req, timeout);
+
+	const body = await readBody(
+		req,
+		getBodyLimit(req, options),
+		idle.signal
+	).finally(idle.clear);
+
+	try {
+		if (type === "json") {
+			req.body = body ? JSON.parse(body) : {};
+		} else if (type === "urlencoded") {
+			req.body = querystring.parse(body);
+		} else {
+			// Default: try JSON, then form data
 			try {
-				if (contentType.includes("application/json")) {
-					req.body = body ? JSON.parse(body) : {};
-				} else if (
-					contentType.includes("application/x-www-form-urlencoded")
-				) {
-					req.body = querystring.parse(body);
-				} else if (contentType.includes("multipart/form-data")) {
-					// Handle multipart/form-data (simplified)
-					req.body = parseMultipartFormData(body, contentType);
-				} else {
-					// Default: try JSON, then form data
-					try {
-						req.body = JSON.parse(body);
-					} catch {
-						req.body = querystring.parse(body);
-					}
-				}
-				resolve();
-			} catch (error) {
+				req.body = JSON.parse(body);
+			} catch {
+				req.body = querystring.parse(body);
+			}
+		}
+	} catch (error) {
+		throw bodyError(400, `Failed to parse request body: ${error.message}`);
+	}
+}
+
+// Streams a multipart body into req.body (text fields) and req.files, so
+// files never sit in memory. Options are the multipart parser's plus
+// bodyTimeout.
+async function parseMultipartBody(req, options = {}) {
+	const { bodyTimeout = defaultBodyTimeout, ...multipartOptions } = options;
+	checkContentLength(req, { multipart: multipartOptions });
+	releaseContinue(req);
+
+	const idle = idleTimeout(req, bodyTimeout);
+	const { fields, files } = await parseMultipart(
+		req,
+		multipartOptions,
+		idle.signal
+	).finally(idle.clear);
+	req.body = fields;
+	req.files = files;
+}
+
+// Buffers the body as a UTF-8 string, rejecting with 413 past `limit` and
+// with 400 if the client goes away before sending Content-Length bytes.
+// Aborting `signal` stops reading and rejects with its reason.
+function readBody(req, limit, signal) {
+	return new Promise((resolve, reject) => {
+		const declared = parseInt(req.headers["content-length"], 10);
+		const chunks = [];
+		let received = 0;
+
+		function cleanup() {
+			req.removeListener("data", onData);
+			req.removeListener("end", onEnd);
+			req.removeListener("aborted", onAborted);
+			if (signal) signal.removeEventListener("abort", onAbort);
+		}
+
+		function onData(chunk) {
+			received += chunk.length;
+
+			if (received > limit) {
+				cleanup();
+				req.resume(); // Discard the rest of the body
+				reject(bodyError(413, `Request body exceeds ${limit} bytes`));
+				return;
+			}
+
+			chunks.push(chunk);
+		}
+
+		function onEnd() {
+			cleanup();
+
+			if (!Number.isNaN(declared) && received !== declared) {
 				reject(
-					new Error(`Failed to parse request body: ${error.message}`)
+					bodyError(
+						400,
+						`Expected ${declared} bytes of body, received ${received}`
+					)
 				);
+				return;
 			}
-		});
 
+			resolve(Buffer.concat(chunks).toString("utf8"));
+		}
+
+		function onAborted() {
+			cleanup();
+			reject(
+				bodyError(400, "Request aborted before the body was received")
+			);
+		}
+
+		function onAbort() {
+			cleanup();
+			req.resume(); // Discard the rest of the body
+			reject(signal.reason);
+		}
+
+		req.on("data", onData);
+		req.on("end", onEnd);
+		req.on("aborted", onAborted);
 		req.on("error", reject);
+		if (signal) signal.addEventListener("abort", onAbort);
 	});
 }
 
-function parseMultipartFormData(body, contentType) {
-	// Simple multipart parser (for demonstration)
-	// In production, you'd want a more robust parser
-	const boundary = contentType.split("boundary=")[1];
-	const parts = body.split(`--${boundary}`);
-
-	const result = {};
-
-	parts.forEach((part) => {
-		if (part.includes("Content-Disposition")) {
-			const match = part.match(/name="([^"]+)"/);
-			if (match) {
-				const name = match[1];
-				const value = part.split("\r\n\r\n")[1];
-				if (value) {
-					result[name] = value.trim();
-				}
-			}
-		}
-	});
+// Aborts `signal` with a 408 once `ms` pass without body data. clear()
+// stops watching once the body has been read.
+function idleTimeout(req, ms) {
+	const controller = new AbortController();
+	if (!ms) return { signal: controller.signal, clear: () => {} };
+
+	let timer;
+	const restart = () => {
+		clearTimeout(timer);
+		timer = setTimeout(() => {
+			controller.abort(
+				bodyError(408, `No request body data received for ${ms}ms`)
+			);
+		}, ms);
+	};
 
-	return result;
+	restart();
+	req.on("data", restart);
+
+	return {
+		signal: controller.signal,
+		clear: () => {
+			clearTimeout(timer);
+			req.removeListener("data", restart);
+		},
+	};
 }
 
 function parseCookies(cookieHeader) {
@@ -87,7 +253,11 @@ function parseCookies(cookieHeader) {
 	return cookieHeader.split(";").reduce((cookies, cookie) => {
 		const [name, ...valueParts] = cookie.trim().split("=");
 		const value = valueParts.join("="); // In case value contains '='
-		cookies[name] = decodeURIComponent(value);
+		try {
+			cookies[name] = decodeURIComponent(value);
+		} catch {
+			// Malformed percent-encoding; treat the cookie as missing
+		}
 		return cookies;
 	}, {});
 }
@@ -102,7 +272,13 @@ function getClientIP(req) {
 
 module.exports = {
 	parseRequest,
+	parseBody,
 	parseRequestBody,
+	parseMultipartBody,
+	getBodyType,
+	getBodyLimit,
+	checkContentLength,
+	holdContinue,
 	parseCookies,
 	getClientIP,
 };
@@ -1,3 +1,31 @@
+const { SSEChannel, hub } = require("./sse.js");
+const { HttpError, NotAcceptable, sendError } = require("./http-error.js");
+const { negotiateType, appendVary } = require("./negotiate.js");
+const {
+	serializers,
+	registerSerializer,
+	resolveType,
+	contentTypeFor,
+} = require("./serializers.js");
+
+function notAcceptable(req, available) {
+	return new NotAcceptable(
+		`None of ${available.join(", ")} matches Accept: ${req.headers.accept}`,
+		{ details: { acceptable: available } }
+	);
+}
+
+// Browsers send "text/html,application/xhtml+xml,application/xml;q=0.9,
+// */*;q=0.8" for page views, which would pick XML. A client that wants HTML
+// no serializer produces gets the first one (JSON) instead, if acceptable.
+function preferredType(accept, available) {
+	const type = negotiateType(accept, available);
+	if (!type || available.includes("text/html")) return type;
+
+	const wantsHtml = negotiateType(accept, ["text/html", type]) === "text/html";
+	return (wantsHtml && negotiateType(accept, available.slice(0, 1))) || type;
+}
+
 class ResponseHelper {
 	static json(res, data, statusCode = 200, headers = {}) {
 		const defaultHeaders = {
@@ -33,20 +61,68 @@ class ResponseHelper {
 		res.end(text);
 	}
 
+	// Serializes data in the format the client prefers among the registered
+	// serializers (JSON, CSV, XML and text built in), or answers 406
+	static send(req, res, data, statusCode = 200, headers = {}) {
+		const available = [...serializers.keys()];
+		const type = preferredType(req.headers.accept, available);
+		appendVary(res, "Accept");
+
+		if (!type) {
+			sendError(req, res, notAcceptable(req, available));
+			return;
+		}
+
+		res.writeHead(statusCode, {
+			"Content-Type": contentTypeFor(type),
+			...headers,
+		});
+		res.end(serializers.get(type)(data));
+	}
+
+	// Runs the handler for the type the client prefers, with Content-Type
+	// already set, e.g. format(req, res, { json: () => ..., html: () => ...
+	// }). Keys are media types or the short names json, html, csv, xml and
+	// text; a `default` handler runs instead of answering 406.
+	static format(req, res, handlers) {
+		const { default: fallback, ...byType } = handlers;
+		const entries = Object.entries(byType).map(([key, handler]) => [
+			resolveType(key),
+			handler,
+		]);
+		const available = entries.map(([type]) => type);
+		const type = negotiateType(req.headers.accept, available);
+		appendVary(res, "Accept");
+
+		if (!type) {
+			if (fallback) return fallback(req, res);
+			sendError(req, res, notAcceptable(req, available));
+			return;
+		}
+
+		res.setHeader("Content-Type", contentTypeFor(type));
+		const [, handler] = entries.find(([candidate]) => candidate === type);
+		return handler(req, res);
+	}
+
+	// See utils/serializers.js
+	static registerSerializer(type, serialize) {
+		registerSerializer(type, serialize);
+	}
+
 	static redirect(res, location, statusCode = 302) {
 		res.writeHead(statusCode, { Location: location });
 		res.end();
 	}
 
+	// Problem details like any other error response; `details` become extra
+	// members. The message is shown even for 5xx, since it was chosen to be.
 	static error(res, message, statusCode = 500, details = {}) {
-		const errorResponse = {
-			error: message,
-			statusCode,
-			timestamp: new Date().toISOString(),
-			...details,
-		};
-
-		this.json(res, errorResponse, statusCode);
+		const error = new HttpError(statusCode, message, {
+			details,
+			expose: true,
+		});
+		sendError(res.req, res, error, { stack: false });
 	}
 
 	static notFound(res, message = "Resource not found") {
@@ -106,7 +182,9 @@ class ResponseHelper {
 			cookie += `; SameSite=${cookieOptions.sameSite}`;
 		}
 
-		res.setHeader("Set-Cookie", cookie);
+		// Keep cookies set earlier in the same response
+		const existing = res.getHeader("Set-Cookie") || [];
+		res.setHeader("Set-Cookie", [].concat(existing, cookie));
 	}
 
 	static clearCookie(res, name, options = {}) {
@@ -148,6 +226,25 @@ class ResponseHelper {
 			}
 		});
 	}
+
+	// Opens a Server-Sent Events stream and returns its channel. `topics`
+	// subscribes it to the shared hub (or options.hub), replaying events
+	// missed since the client's Last-Event-ID.
+	static sse(req, res, options = {}) {
+		const { topics = [], hub: eventHub = hub, ...channelOptions } = options;
+		const channel = new SSEChannel(req, res, channelOptions);
+
+		[].concat(topics).forEach((topic) => {
+			eventHub.subscribe(topic, channel);
+		});
+
+		return channel;
+	}
+
+	// Sends an event to every stream subscribed to `topic` on the shared hub
+	static publish(topic, event, data) {
+		return hub.publish(topic, event, data);
+	}
 }
 
 module.exports = ResponseHelper;
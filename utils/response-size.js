@@ -0,0 +1,45 @@
+// Counts the body bytes a response sends. Whoever asks first (the metrics
+// tracker, or the logger when metrics are off) wraps res.write() and
+// res.end(); later callers share that count instead of wrapping again.
+// Wrapping happens before middleware such as compress() adds its own
+// layer, so the count is what actually goes out on the wire.
+
+const counters = new WeakMap(); // res -> { bytes }
+
+function chunkLength(chunk, encoding) {
+	if (!chunk || typeof chunk === "function") return 0;
+	if (Buffer.isBuffer(chunk) || chunk instanceof Uint8Array) {
+		return chunk.length;
+	}
+	return Buffer.byteLength(
+		chunk,
+		typeof encoding === "string" ? encoding : "utf8"
+	);
+}
+
+// Returns () => bytes sent so far
+function countResponseBytes(res) {
+	let counter = counters.get(res);
+
+	if (!counter) {
+		counter = { bytes: 0 };
+		counters.set(res, counter);
+
+		const originalWrite = res.write;
+		const originalEnd = res.end;
+		res.write = function (chunk, encoding, callback) {
+			counter.bytes += chunkLength(chunk, encoding);
+			return originalWrite.call(res, chunk, encoding, callback);
+		};
+		res.end = function (chunk, encoding, callback) {
+			counter.bytes += chunkLength(chunk, encoding);
+			return originalEnd.call(res, chunk, encoding, callback);
+		};
+	}
+
+	return () => counter.bytes;
+}
+
+module.exports = {
+	countResponseBytes,
+};
@@ -0,0 +1,154 @@
+const fs = require("fs");
+const path = require("path");
+const { Writable } = require("stream");
+
+const MESSAGE_TYPE = "log-file";
+
+// How long the primary leaves a failed log file alone before reopening it
+const RETRY_MS = 30 * 1000;
+
+// Appends to a file and rotates it once it would grow past maxSize bytes,
+// keeping maxFiles old copies as file.1 (newest) to file.N. With
+// interval "daily" it also rotates when the date changes.
+class RotatingFileStream extends Writable {
+	constructor(filePath, options = {}) {
+		super();
+		this.filePath = path.resolve(filePath);
+		this.maxSize = options.maxSize || 10 * 1024 * 1024;
+		this.maxFiles = options.maxFiles === undefined ? 5 : options.maxFiles;
+		this.interval = options.interval || null;
+		this.fd = null;
+		this.size = 0;
+		this.day = null;
+
+		fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+	}
+
+	async open() {
+		this.fd = await fs.promises.open(this.filePath, "a");
+		const stats = await this.fd.stat();
+		this.size = stats.size;
+		this.day = today();
+	}
+
+	shouldRotate(length) {
+		if (this.size > 0 && this.size + length > this.maxSize) return true;
+		return this.interval === "daily" && this.day !== today();
+	}
+
+	async rotate() {
+		await this.fd.close();
+		this.fd = null;
+
+		// Shift file.N-1 to file.N and so on, dropping the oldest
+		for (let index = this.maxFiles - 1; index >= 1; index--) {
+			await renameIfExists(
+				`${this.filePath}.${index}`,
+				`${this.filePath}.${index + 1}`
+			);
+		}
+
+		if (this.maxFiles > 0) {
+			await renameIfExists(this.filePath, `${this.filePath}.1`);
+		} else {
+			await fs.promises.rm(this.filePath, { force: true });
+		}
+
+		await this.open();
+	}
+
+	_write(chunk, encoding, callback) {
+		const write = async () => {
+			if (!this.fd) await this.open();
+			if (this.shouldRotate(chunk.length)) await this.rotate();
+
+			await this.fd.write(chunk);
+			this.size += chunk.length;
+		};
+
+		write().then(() => callback(), callback);
+	}
+
+	_final(callback) {
+		if (!this.fd) return callback();
+		this.fd.close().then(() => callback(), callback);
+	}
+
+	// Writes the lines workers send, one stream per path. A file that fails
+	// is reported, its lines dropped, and reopened a little later.
+	static serve(cluster) {
+		const streams = new Map(); // path -> RotatingFileStream
+		const failedAt = new Map(); // path -> timestamp
+
+		function streamFor({ path: filePath, options }) {
+			if (streams.has(filePath)) return streams.get(filePath);
+			const sinceFailure = Date.now() - (failedAt.get(filePath) || 0);
+			if (sinceFailure < RETRY_MS) return null;
+
+			const onError = (error) => {
+				streams.delete(filePath);
+				failedAt.set(filePath, Date.now());
+				console.error("Log file failed, dropping lines:", error.message);
+			};
+
+			try {
+				const stream = new RotatingFileStream(filePath, options);
+				stream.on("error", onError);
+				streams.set(filePath, stream);
+				return stream;
+			} catch (error) {
+				onError(error);
+				return null;
+			}
+		}
+
+		cluster.on("message", (worker, message) => {
+			if (!message || message.type !== MESSAGE_TYPE) return;
+
+			const stream = streamFor(message);
+			if (stream) stream.write(message.line);
+		});
+		return streams;
+	}
+}
+
+// Stands in for a RotatingFileStream in cluster workers. Workers rotating
+// one file would each keep their own size and keep writing to files another
+// worker renamed, so lines go to the primary over IPC instead and it writes
+// them through one RotatingFileStream per path; call
+// RotatingFileStream.serve(cluster) there (the Supervisor does).
+class WorkerFileStream extends Writable {
+	constructor(filePath, options = {}) {
+		super();
+		this.filePath = path.resolve(filePath);
+		this.options = options;
+	}
+
+	_write(chunk, encoding, callback) {
+		// Lines written while the primary is gone are dropped
+		if (!process.connected) return callback();
+
+		const message = {
+			type: MESSAGE_TYPE,
+			path: this.filePath,
+			options: this.options,
+			line: chunk.toString("utf8"),
+		};
+		process.send(message, () => callback());
+	}
+}
+
+function today() {
+	return new Date().toISOString().slice(0, 10);
+}
+
+async function renameIfExists(from, to) {
+	try {
+		await fs.promises.rename(from, to);
+	} catch (error) {
+		if (error.code !== "ENOENT") throw error;
+	}
+}
+
+module.exports = RotatingFileStream;
+module.exports.WorkerFileStream = WorkerFileStream;
@@ -0,0 +1,146 @@
+// Segment trie for route lookup. Each node has static children keyed by
+// segment, plus at most one `:param` child and one `*` wildcard child.
+// Lookups prefer static over param over wildcard at every level and
+// backtrack when a more specific branch doesn't lead to a route.
+
+function createNode() {
+	return {
+		staticChildren: new Map(),
+		paramChild: null,
+		wildcardChild: null,
+		routes: new Map(), // method -> route
+	};
+}
+
+function splitPath(path) {
+	return path.split("/").filter(Boolean);
+}
+
+class RouteTree {
+	constructor() {
+		this.root = createNode();
+	}
+
+	insert(method, path, route) {
+		let node = this.root;
+		const segments = splitPath(path);
+
+		// "/files/*/meta" or "/v*" would otherwise be stored as something
+		// else than they look like
+		segments.forEach((segment, index) => {
+			const isLast = index === segments.length - 1;
+			if (segment.includes("*") && (segment !== "*" || !isLast)) {
+				throw new Error(
+					`Route ${method} ${path}: "*" is only supported as the whole last segment`
+				);
+			}
+		});
+
+		for (const segment of segments) {
+			if (segment === "*") {
+				// A wildcard swallows the rest of the path
+				node.wildcardChild = node.wildcardChild || createNode();
+				node = node.wildcardChild;
+				break;
+			}
+
+			if (segment.startsWith(":")) {
+				node.paramChild = node.paramChild || createNode();
+				node = node.paramChild;
+				continue;
+			}
+
+			if (!node.staticChildren.has(segment)) {
+				node.staticChildren.set(segment, createNode());
+			}
+			node = node.staticChildren.get(segment);
+		}
+
+		if (node.routes.has(method)) {
+			throw new Error(`Route ${method} ${path} already exists`);
+		}
+
+		node.routes.set(method, route);
+	}
+
+	// Returns { route, values } where values are the captured param segments
+	// in path order, followed by the remainder matched by a wildcard, or null
+	find(method, path) {
+		const values = [];
+		const route = this.findIn(
+			this.root,
+			splitPath(path),
+			0,
+			values,
+			(node) => node.routes.get(method)
+		);
+
+		return route ? { route, values } : null;
+	}
+
+	// Methods registered on any node that matches the path
+	methods(path) {
+		const methods = new Set();
+
+		this.findIn(this.root, splitPath(path), 0, [], (node) => {
+			node.routes.forEach((route, method) => methods.add(method));
+			return null; // Keep walking so every matching node is visited
+		});
+
+		return methods;
+	}
+
+	findIn(node, segments, index, values, accept) {
+		if (index === segments.length) {
+			const route = accept(node);
+			if (route) return route;
+
+			// A trailing wildcard also matches an empty remainder
+			return node.wildcardChild
+				? this.acceptWildcard(node, segments, index, values, accept)
+				: null;
+		}
+
+		const segment = segments[index];
+
+		const staticChild = node.staticChildren.get(segment);
+		if (staticChild) {
+			const route = this.findIn(
+				staticChild,
+				segments,
+				index + 1,
+				values,
+				accept
+			);
+			if (route) return route;
+		}
+
+		if (node.paramChild) {
+			values.push(segment);
+			const route = this.findIn(
+				node.paramChild,
+				segments,
+				index + 1,
+				values,
+				accept
+			);
+			if (route) return route;
+			values.pop();
+		}
+
+		if (node.wildcardChild) {
+			return this.acceptWildcard(node, segments, index, values, accept);
+		}
+
+		return null;
+	}
+
+	acceptWildcard(node, segments, index, values, accept) {
+		values.push(segments.slice(index).join("/"));
+		const route = accept(node.wildcardChild);
+		if (!route) values.pop();
+		return route;
+	}
+}
+
+module.exports = RouteTree;
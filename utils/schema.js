@@ -0,0 +1,211 @@
+// Small schema validator used by the validate() middleware.
+//
+// A schema node looks like { type, required, default, enum, min, max,
+// minLength, maxLength, pattern, minItems, maxItems, properties, items,
+// unknown, validate }. `type` is one of string, number, integer, boolean,
+// object, array or any (the default). At the top level a plain map of field
+// name to node is shorthand for { type: "object", properties: map }.
+//
+// Options:
+//   coerce   convert strings to the declared type ("42" -> 42, "true" ->
+//            true, "a" -> ["a"]), for query strings, params and headers
+//   unknown  what to do with properties the schema doesn't list: "allow",
+//            "strip" or "reject"; a node's own `unknown` wins
+
+const TYPES = ["string", "number", "integer", "boolean", "object", "array"];
+
+function normalizeRoot(schema) {
+	if (schema && typeof schema.type === "string") return schema;
+	return { type: "object", properties: schema };
+}
+
+// JSON Pointer (RFC 6901) segment escaping
+function pointer(path, key) {
+	return `${path}/${String(key).replace(/~/g, "~0").replace(/\//g, "~1")}`;
+}
+
+function typeOf(value) {
+	if (Array.isArray(value)) return "array";
+	if (value === null) return "null";
+	return typeof value;
+}
+
+function coerceValue(value, type) {
+	if (typeof value !== "string") {
+		return value;
+	}
+
+	switch (type) {
+		case "number":
+		case "integer": {
+			const number = Number(value);
+			const isNumeric = value.trim() !== "" && !Number.isNaN(number);
+			return isNumeric ? number : value;
+		}
+		case "boolean":
+			if (value === "true" || value === "1") return true;
+			if (value === "false" || value === "0") return false;
+			return value;
+		case "array":
+			return [value];
+		default:
+			return value;
+	}
+}
+
+function matchesType(value, type) {
+	switch (type) {
+		case "any":
+			return true;
+		case "integer":
+			return Number.isInteger(value);
+		case "number":
+			return typeof value === "number" && Number.isFinite(value);
+		case "object":
+			return typeOf(value) === "object";
+		default:
+			return typeOf(value) === type;
+	}
+}
+
+function check(value, schema, path, options, errors) {
+	const type = schema.type || "any";
+
+	if (type !== "any" && !TYPES.includes(type)) {
+		throw new Error(`Unknown schema type "${type}" at ${path || "/"}`);
+	}
+
+	const fail = (keyword, message) => {
+		errors.push({ path: path || "/", keyword, message });
+		return value;
+	};
+
+	if (options.coerce) value = coerceValue(value, type);
+
+	if (!matchesType(value, type)) {
+		return fail("type", `must be ${type}`);
+	}
+
+	if (schema.enum && !schema.enum.includes(value)) {
+		return fail("enum", `must be one of ${schema.enum.join(", ")}`);
+	}
+
+	if (type === "number" || type === "integer") {
+		if (schema.min !== undefined && value < schema.min) {
+			fail("min", `must be at least ${schema.min}`);
+		}
+		if (schema.max !== undefined && value > schema.max) {
+			fail("max", `must be at most ${schema.max}`);
+		}
+	}
+
+	if (type === "string") {
+		const { minLength, maxLength } = schema;
+		if (minLength !== undefined && value.length < minLength) {
+			fail("minLength", `must be at least ${minLength} characters`);
+		}
+		if (maxLength !== undefined && value.length > maxLength) {
+			fail("maxLength", `must be at most ${maxLength} characters`);
+		}
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+			fail("pattern", "is invalid");
+		}
+	}
+
+	if (type === "array") {
+		if (schema.minItems !== undefined && value.length < schema.minItems) {
+			fail("minItems", `must have at least ${schema.minItems} items`);
+		}
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+			fail("maxItems", `must have at most ${schema.maxItems} items`);
+		}
+		if (schema.items) {
+			value = value.map((item, index) =>
+				check(item, schema.items, pointer(path, index), options, errors)
+			);
+		}
+	}
+
+	if (type === "object") {
+		value = checkObject(value, schema, path, options, errors);
+	}
+
+	if (schema.validate) {
+		// Custom validators return true, or false / a message when invalid
+		const result = schema.validate(value);
+		if (result !== true && result !== undefined) {
+			const message = typeof result === "string" ? result : "is invalid";
+			fail("validate", message);
+		}
+	}
+
+	return value;
+}
+
+function checkObject(value, schema, path, options, errors) {
+	const properties = schema.properties || {};
+	const unknown = schema.unknown || options.unknown || "allow";
+	const result = {};
+
+	for (const [key, node] of Object.entries(properties)) {
+		let propertyValue = Object.hasOwn(value, key) ? value[key] : undefined;
+
+		if (propertyValue === undefined && node.default !== undefined) {
+			propertyValue =
+				typeof node.default === "function"
+					? node.default()
+					: node.default;
+		}
+
+		// Only absent fields skip the checks; null and "" are validated like
+		// any other value, and never satisfy `required`
+		const isBlank = propertyValue === null || propertyValue === "";
+		if (propertyValue === undefined || (node.required && isBlank)) {
+			if (node.required) {
+				errors.push({
+					path: pointer(path, key),
+					keyword: "required",
+					message: "is required",
+				});
+			}
+			continue;
+		}
+
+		result[key] = check(
+			propertyValue,
+			node,
+			pointer(path, key),
+			options,
+			errors
+		);
+	}
+
+	for (const key of Object.keys(value)) {
+		if (Object.hasOwn(properties, key)) continue;
+
+		if (unknown === "reject") {
+			errors.push({
+				path: pointer(path, key),
+				keyword: "unknown",
+				message: "is not allowed",
+			});
+		} else if (unknown === "allow") {
+			result[key] = value[key];
+		}
+	}
+
+	return result;
+}
+
+// Returns { value, errors } where value has defaults applied, strings
+// coerced and unknown properties stripped as configured. `path` prefixes
+// every error's JSON pointer.
+function validateSchema(value, schema, options = {}, path = "") {
+	const errors = [];
+	const result = check(value, normalizeRoot(schema), path, options, errors);
+	return { value: result, errors };
+}
+
+module.exports = {
+	validateSchema,
+};
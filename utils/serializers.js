@@ -0,0 +1,140 @@
+// Response serializers by media type, used by ResponseHelper.send() to turn
+// data into the format the client asked for. Registration order is the
+// server's preference when the client accepts several equally.
+
+// Short names accepted by res.format() and registerSerializer()
+const MEDIA_TYPES = {
+	json: "application/json",
+	html: "text/html",
+	csv: "text/csv",
+	xml: "application/xml",
+	text: "text/plain",
+};
+
+function resolveType(type) {
+	return MEDIA_TYPES[type] || type.toLowerCase();
+}
+
+// Content-Type header for a media type; text gets an explicit charset
+function contentTypeFor(type) {
+	const isText = type.startsWith("text/") || /[/+]xml$/.test(type);
+	return isText ? `${type}; charset=utf-8` : type;
+}
+
+// Records are rows; a single object is one row and anything else one cell
+function toRows(data) {
+	if (Array.isArray(data)) return data;
+	return [data];
+}
+
+function csvCell(value) {
+	if (value === undefined || value === null) return "";
+
+	const text =
+		typeof value === "object" ? JSON.stringify(value) : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 CSV. Columns are every key found in the records, in the order
+// they first appear.
+function toCSV(data) {
+	const rows = toRows(data);
+	const isRecord = (row) => row !== null && typeof row === "object";
+
+	const columns = [];
+	rows.filter(isRecord).forEach((row) => {
+		Object.keys(row).forEach((key) => {
+			if (!columns.includes(key)) columns.push(key);
+		});
+	});
+
+	if (columns.length === 0) {
+		return rows.map((row) => csvCell(row) + "\r\n").join("");
+	}
+
+	const lines = [columns.map(csvCell).join(",")];
+	rows.forEach((row) => {
+		const record = isRecord(row) ? row : {};
+		lines.push(columns.map((column) => csvCell(record[column])).join(","));
+	});
+	return lines.join("\r\n") + "\r\n";
+}
+
+// Control characters other than tab, LF and CR can't appear in XML 1.0 at
+// all, not even escaped, so they're dropped
+function escapeXml(value) {
+	return String(value)
+		.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&apos;");
+}
+
+// Keys become element names, so make them valid ones
+function elementName(key) {
+	const name = String(key).replace(/[^\w.-]/g, "_");
+	return /^[a-z_]/i.test(name) && !/^xml/i.test(name) ? name : `_${name}`;
+}
+
+function xmlElement(name, value, indent) {
+	const pad = "  ".repeat(indent);
+
+	if (value === undefined || value === null) return `${pad}<${name}/>`;
+
+	if (Array.isArray(value)) {
+		const items = value.map((item) => xmlElement("item", item, indent + 1));
+		return items.length > 0
+			? `${pad}<${name}>\n${items.join("\n")}\n${pad}</${name}>`
+			: `${pad}<${name}/>`;
+	}
+
+	if (typeof value === "object") {
+		const children = Object.entries(value).map(([key, child]) =>
+			xmlElement(elementName(key), child, indent + 1)
+		);
+		return children.length > 0
+			? `${pad}<${name}>\n${children.join("\n")}\n${pad}</${name}>`
+			: `${pad}<${name}/>`;
+	}
+
+	return `${pad}<${name}>${escapeXml(value)}</${name}>`;
+}
+
+// Arrays become <item> elements and object keys child elements, all under
+// a <response> root
+function toXML(data) {
+	return (
+		'<?xml version="1.0" encoding="UTF-8"?>\n' +
+		xmlElement("response", data, 0) +
+		"\n"
+	);
+}
+
+function toText(data) {
+	return typeof data === "string" ? data : JSON.stringify(data, null, 2);
+}
+
+const serializers = new Map([
+	[MEDIA_TYPES.json, (data) => JSON.stringify(data)],
+	[MEDIA_TYPES.csv, toCSV],
+	[MEDIA_TYPES.xml, toXML],
+	[MEDIA_TYPES.text, toText],
+]);
+
+// Adds or replaces the serializer for a media type (or short name), e.g.
+// registerSerializer("application/yaml", (data) => toYaml(data))
+function registerSerializer(type, serialize) {
+	serializers.set(resolveType(type), serialize);
+}
+
+module.exports = {
+	MEDIA_TYPES,
+	serializers,
+	registerSerializer,
+	resolveType,
+	contentTypeFor,
+	toCSV,
+	toXML,
+};
@@ -0,0 +1,175 @@
+const fs = require("fs");
+const os = require("os");
+const crypto = require("crypto");
+const path = require("path");
+
+// Session stores keep records of the form { data, expires } keyed by
+// session ID, where `expires` is a timestamp in milliseconds. Custom stores
+// extend SessionStore and implement get, set and destroy; all may be async.
+class SessionStore {
+	async get(id) {
+		throw new Error(`${this.constructor.name} must implement get()`);
+	}
+
+	async set(id, record) {
+		throw new Error(`${this.constructor.name} must implement set()`);
+	}
+
+	async destroy(id) {
+		throw new Error(`${this.constructor.name} must implement destroy()`);
+	}
+
+	// Extends a session's lifetime without changing its data
+	async touch(id, expires) {
+		const record = await this.get(id);
+		if (record) {
+			await this.set(id, { ...record, expires });
+		}
+	}
+}
+
+// Keeps sessions in process memory; they are lost on restart and not shared
+// between cluster workers
+class MemoryStore extends SessionStore {
+	constructor(options = {}) {
+		super();
+		this.sessions = new Map();
+
+		// Sweep expired sessions so abandoned ones don't pile up
+		const pruneInterval = options.pruneInterval || 60000;
+		this.timer = setInterval(() => this.prune(), pruneInterval);
+		this.timer.unref();
+	}
+
+	async get(id) {
+		const record = this.sessions.get(id);
+		if (!record) return null;
+
+		if (record.expires <= Date.now()) {
+			this.sessions.delete(id);
+			return null;
+		}
+
+		// Hand out a copy so unsaved changes never leak into the store
+		return JSON.parse(JSON.stringify(record));
+	}
+
+	async set(id, record) {
+		this.sessions.set(id, JSON.parse(JSON.stringify(record)));
+	}
+
+	async destroy(id) {
+		this.sessions.delete(id);
+	}
+
+	async touch(id, expires) {
+		const record = this.sessions.get(id);
+		if (record) record.expires = expires;
+	}
+
+	prune() {
+		const now = Date.now();
+		for (const [id, record] of this.sessions) {
+			if (record.expires <= now) {
+				this.sessions.delete(id);
+			}
+		}
+	}
+}
+
+// Keeps one JSON file per session in a directory, so sessions survive
+// restarts and can be shared by processes on the same machine. The
+// directory and files are private to the user running the server.
+class FileStore extends SessionStore {
+	constructor(options = {}) {
+		super();
+		this.dir = options.dir || path.join(os.tmpdir(), "sessions");
+		fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+		// An existing directory may be readable by others; fails if it isn't
+		// ours to change
+		fs.chmodSync(this.dir, 0o700);
+
+		// Sweep expired sessions so abandoned ones don't pile up
+		const pruneInterval = options.pruneInterval || 60000;
+		this.timer = setInterval(() => {
+			this.prune().catch((error) =>
+				console.error("Session prune failed:", error)
+			);
+		}, pruneInterval);
+		this.timer.unref();
+	}
+
+	filePath(id) {
+		// IDs come from cookies; never let one escape the directory
+		if (!/^[\w-]+$/.test(id)) {
+			throw new Error("Invalid session ID");
+		}
+		return path.join(this.dir, `${id}.json`);
+	}
+
+	async get(id) {
+		let record;
+
+		try {
+			record = JSON.parse(await fs.promises.readFile(this.filePath(id)));
+		} catch (error) {
+			if (error.code === "ENOENT") return null;
+			throw error;
+		}
+
+		if (record.expires <= Date.now()) {
+			await this.destroy(id);
+			return null;
+		}
+
+		return record;
+	}
+
+	async set(id, record) {
+		// Write then rename so readers never see a half-written file
+		const file = this.filePath(id);
+		const suffix = crypto.randomBytes(8).toString("hex");
+		const tempFile = `${file}.${suffix}.tmp`;
+
+		try {
+			await fs.promises.writeFile(tempFile, JSON.stringify(record), {
+				mode: 0o600,
+			});
+			await fs.promises.rename(tempFile, file);
+		} catch (error) {
+			await fs.promises.rm(tempFile, { force: true });
+			throw error;
+		}
+	}
+
+	async destroy(id) {
+		try {
+			await fs.promises.unlink(this.filePath(id));
+		} catch (error) {
+			if (error.code !== "ENOENT") throw error;
+		}
+	}
+
+	async prune() {
+		const now = Date.now();
+		const names = await fs.promises.readdir(this.dir);
+
+		for (const name of names) {
+			if (!name.endsWith(".json")) continue;
+
+			const file = path.join(this.dir, name);
+			try {
+				const record = JSON.parse(await fs.promises.readFile(file));
+				if (record.expires <= now) await fs.promises.unlink(file);
+			} catch {
+				// Removed meanwhile, or being replaced; the next sweep retries
+			}
+		}
+	}
+}
+
+module.exports = {
+	SessionStore,
+	MemoryStore,
+	FileStore,
+};
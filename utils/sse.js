@@ -0,0 +1,169 @@
+const EventEmitter = require("events");
+
+// Server-Sent Events: one SSEChannel per open event stream, and an EventHub
+// that fans events out to every channel subscribed to a topic.
+
+// Field values can't contain line breaks without starting a new field
+function singleLine(value) {
+	return String(value).replace(/[\r\n]+/g, " ");
+}
+
+function formatEvent(event, data, id) {
+	let message = "";
+	if (event) message += `event: ${singleLine(event)}\n`;
+	if (id !== undefined && id !== null) message += `id: ${singleLine(id)}\n`;
+
+	const text = typeof data === "string" ? data : JSON.stringify(data);
+	(text === undefined ? "" : text).split(/\r\n|\r|\n/).forEach((line) => {
+		message += `data: ${line}\n`;
+	});
+
+	return message + "\n";
+}
+
+// Options:
+//   heartbeat  ms between comment lines that keep proxies from timing the
+//              connection out, default 15000; 0 to disable
+//   retry      reconnection delay to suggest to the client, in ms
+//
+// Emits "close" when the client goes away or close() is called.
+class SSEChannel extends EventEmitter {
+	constructor(req, res, options = {}) {
+		super();
+		this.req = req;
+		this.res = res;
+		this.options = { heartbeat: 15000, ...options };
+		this.closed = false;
+
+		// Sent by a reconnecting client: the id of the last event it got
+		this.lastEventId = req.headers["last-event-id"] || null;
+
+		const headers = {
+			"Content-Type": "text/event-stream; charset=utf-8",
+			// no-transform keeps compression and proxies from buffering
+			"Cache-Control": "no-cache, no-transform",
+			"X-Accel-Buffering": "no",
+		};
+		if (req.httpVersionMajor === 1) headers.Connection = "keep-alive";
+
+		if (req.socket) req.socket.setNoDelay(true);
+		res.writeHead(200, headers);
+
+		// The first write also gets the headers out
+		if (this.options.retry) {
+			this.write(`retry: ${Math.floor(this.options.retry)}\n\n`);
+		} else {
+			this.comment("connected");
+		}
+
+		if (this.options.heartbeat) {
+			this.heartbeat = setInterval(
+				() => this.comment("heartbeat"),
+				this.options.heartbeat
+			);
+			this.heartbeat.unref();
+		}
+
+		res.on("close", () => this.onClose());
+	}
+
+	// Returns false when the response buffer is full, as res.write does
+	send(event, data, id) {
+		return this.write(formatEvent(event, data, id));
+	}
+
+	comment(text = "") {
+		return this.write(`: ${singleLine(text)}\n\n`);
+	}
+
+	write(chunk) {
+		if (this.closed) return false;
+
+		const flushed = this.res.write(chunk);
+		// Compression middleware would otherwise hold events back
+		if (typeof this.res.flush === "function") this.res.flush();
+		return flushed;
+	}
+
+	close() {
+		if (this.closed) return;
+		this.res.end();
+		this.onClose();
+	}
+
+	onClose() {
+		if (this.closed) return;
+
+		this.closed = true;
+		clearInterval(this.heartbeat);
+		this.emit("close");
+	}
+}
+
+// Broadcasts events to the channels subscribed to a topic. Each topic keeps
+// its last `bufferSize` events so a reconnecting client gets the ones it
+// missed, based on its Last-Event-ID. Ids are numbered across all topics.
+class EventHub {
+	constructor(options = {}) {
+		this.bufferSize = options.bufferSize || 100;
+		this.topics = new Map(); // topic -> { channels, history }
+		this.lastId = 0;
+	}
+
+	topic(name) {
+		if (!this.topics.has(name)) {
+			this.topics.set(name, { channels: new Set(), history: [] });
+		}
+		return this.topics.get(name);
+	}
+
+	subscribe(name, channel) {
+		const topic = this.topic(name);
+		topic.channels.add(channel);
+
+		const lastSeen = Number(channel.lastEventId);
+		if (channel.lastEventId !== null && Number.isFinite(lastSeen)) {
+			topic.history
+				.filter((entry) => entry.id > lastSeen)
+				.forEach(({ event, data, id }) => channel.send(event, data, id));
+		}
+
+		channel.once("close", () => this.unsubscribe(name, channel));
+		return this;
+	}
+
+	unsubscribe(name, channel) {
+		const topic = this.topics.get(name);
+		if (!topic) return;
+
+		topic.channels.delete(channel);
+		if (topic.channels.size === 0 && topic.history.length === 0) {
+			this.topics.delete(name);
+		}
+	}
+
+	// Sends to every subscriber of the topic; returns the event's id
+	publish(name, event, data) {
+		const topic = this.topic(name);
+		const id = ++this.lastId;
+
+		topic.history.push({ id, event, data });
+		if (topic.history.length > this.bufferSize) topic.history.shift();
+
+		topic.channels.forEach((channel) => channel.send(event, data, id));
+		return id;
+	}
+
+	subscriberCount(name) {
+		const topic = this.topics.get(name);
+		return topic ? topic.channels.size : 0;
+	}
+}
+
+module.exports = {
+	SSEChannel,
+	EventHub,
+	formatEvent,
+	// Shared hub behind ResponseHelper.sse({ topics }) and publish()
+	hub: new EventHub(),
+};
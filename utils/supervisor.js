@@ -0,0 +1,352 @@
+const cluster = require("cluster");
+const os = require("os");
+const { ClusterStore } = require("./rate-limit-store.js");
+const RotatingFileStream = require("./rotating-file-stream.js");
+const { mergeSnapshots } = require("./metrics.js");
+
+// Cluster supervision. The primary forks the workers, restarts them when
+// they crash and replaces them one at a time on SIGHUP; each worker runs the
+// usual HTTPServer and shuts down gracefully when asked. All messages between
+// them carry type "supervisor" and an action; replies repeat the action and
+// the id of the message they answer.
+
+const MESSAGE_TYPE = "supervisor";
+
+const defaults = {
+	workers: 0, // Defaults to the number of CPUs
+	restartDelay: 1000, // First restart delay, doubled per consecutive crash
+	maxRestartDelay: 30000,
+	stableAfter: 30000, // A worker up this long resets its crash count
+	killTimeout: 15000, // Kill workers that take longer to shut down
+	healthTimeout: 1000, // How long to wait for each worker's health or metrics
+};
+
+class Supervisor {
+	constructor(options = {}) {
+		this.options = { ...defaults, ...(options === true ? {} : options) };
+		if (!this.options.workers) {
+			this.options.workers = os.availableParallelism
+				? os.availableParallelism()
+				: os.cpus().length;
+		}
+
+		this.slots = []; // { worker, crashes, startedAt, timer } per worker
+		this.retiring = new Set(); // Workers we asked to stop
+		this.pending = new Map(); // Requests to workers awaiting a reply
+		this.nextId = 0;
+		this.stopping = false;
+		this.restarting = false;
+	}
+
+	start() {
+		// Lets workers share rate limit counters through ClusterStore
+		ClusterStore.serve(cluster);
+		// And write to shared log files, which only the primary rotates
+		RotatingFileStream.serve(cluster);
+
+		cluster.on("exit", (worker, code, signal) =>
+			this.onExit(worker, code, signal)
+		);
+		cluster.on("message", (worker, message) =>
+			this.onMessage(worker, message)
+		);
+
+		for (let slot = 0; slot < this.options.workers; slot++) {
+			this.slots[slot] = { worker: null, crashes: 0, startedAt: 0 };
+			this.assign(slot, cluster.fork());
+		}
+
+		process.on("SIGHUP", () => this.rollingRestart());
+		process.on("SIGTERM", () => this.stop());
+		process.on("SIGINT", () => this.stop());
+
+		console.log(
+			`Primary ${process.pid} started ${this.options.workers} workers`
+		);
+		return this;
+	}
+
+	assign(slot, worker) {
+		this.slots[slot].worker = worker;
+		this.slots[slot].startedAt = Date.now();
+	}
+
+	slotOf(worker) {
+		return this.slots.findIndex((state) => state.worker === worker);
+	}
+
+	onExit(worker, code, signal) {
+		if (this.retiring.delete(worker) || this.stopping) return;
+
+		// Not one of ours, e.g. a replacement that died while starting
+		const slot = this.slotOf(worker);
+		if (slot === -1) return;
+
+		const state = this.slots[slot];
+		if (Date.now() - state.startedAt >= this.options.stableAfter) {
+			state.crashes = 0;
+		}
+		state.crashes++;
+		state.worker = null;
+
+		const { restartDelay, maxRestartDelay } = this.options;
+		const delay = Math.min(
+			restartDelay * 2 ** (state.crashes - 1),
+			maxRestartDelay
+		);
+
+		console.error(
+			`Worker ${worker.process.pid} exited (${signal || code}), ` +
+				`restarting in ${delay}ms`
+		);
+		state.timer = setTimeout(() => {
+			if (!this.stopping) this.assign(slot, cluster.fork());
+		}, delay);
+	}
+
+	// Asks a worker to shut down gracefully; resolves once it has exited
+	retire(worker) {
+		return new Promise((resolve) => {
+			if (worker.isDead()) {
+				resolve();
+				return;
+			}
+
+			this.retiring.add(worker);
+			const timer = setTimeout(
+				() => worker.process.kill("SIGKILL"),
+				this.options.killTimeout
+			);
+			worker.once("exit", () => {
+				clearTimeout(timer);
+				resolve();
+			});
+
+			if (worker.isConnected()) {
+				worker.send({ type: MESSAGE_TYPE, action: "shutdown" });
+			} else {
+				worker.process.kill("SIGTERM");
+			}
+		});
+	}
+
+	// Replaces workers one at a time, starting each replacement before
+	// stopping the worker it replaces so there is always one listening
+	async rollingRestart() {
+		if (this.restarting || this.stopping) return;
+		this.restarting = true;
+		console.log("Rolling restart of workers...");
+
+		for (let slot = 0; slot < this.slots.length; slot++) {
+			if (this.stopping) break;
+
+			const previous = this.slots[slot].worker;
+			const replacement = cluster.fork();
+			const started = await new Promise((resolve) => {
+				replacement.once("listening", () => resolve(true));
+				replacement.once("exit", () => resolve(false));
+			});
+
+			if (!started) {
+				console.error(
+					"Replacement worker failed to start, stopping the restart"
+				);
+				break;
+			}
+
+			clearTimeout(this.slots[slot].timer);
+			this.assign(slot, replacement);
+			if (previous) await this.retire(previous);
+		}
+
+		this.restarting = false;
+		console.log("Rolling restart finished");
+	}
+
+	async stop() {
+		if (this.stopping) return;
+		this.stopping = true;
+		console.log("Stopping workers...");
+
+		this.slots.forEach((state) => clearTimeout(state.timer));
+		await Promise.all(
+			Object.values(cluster.workers).map((worker) => this.retire(worker))
+		);
+		process.exit(0);
+	}
+
+	onMessage(worker, message) {
+		if (!message || message.type !== MESSAGE_TYPE) return;
+
+		switch (message.action) {
+			// Replies to ask()
+			case "health":
+			case "metrics": {
+				const request = this.pending.get(message.id);
+				if (request) request(message);
+				break;
+			}
+
+			case "cluster-health":
+				this.health().then((workers) =>
+					this.reply(worker, message, { workers })
+				);
+				break;
+
+			case "cluster-metrics":
+				this.metrics().then((snapshot) =>
+					this.reply(worker, message, { snapshot })
+				);
+				break;
+		}
+	}
+
+	reply(worker, request, fields) {
+		if (!worker.isConnected()) return;
+		worker.send({
+			type: MESSAGE_TYPE,
+			action: request.action,
+			id: request.id,
+			...fields,
+		});
+	}
+
+	// Resolves to the worker's reply, or null if it doesn't answer in time
+	ask(worker, action) {
+		return new Promise((resolve) => {
+			const id = ++this.nextId;
+			const done = (reply) => {
+				clearTimeout(timer);
+				this.pending.delete(id);
+				resolve(reply);
+			};
+			const timer = setTimeout(() => done(null), this.options.healthTimeout);
+
+			this.pending.set(id, done);
+			worker.send({ type: MESSAGE_TYPE, action, id });
+		});
+	}
+
+	// One report per worker slot
+	health() {
+		return Promise.all(
+			this.slots.map(async ({ worker, crashes }, slot) => {
+				if (!worker || !worker.isConnected()) {
+					return { slot, status: "restarting", crashes };
+				}
+
+				const reply = await this.ask(worker, "health");
+				const report = reply ? reply.report : { status: "unresponsive" };
+				return { slot, pid: worker.process.pid, crashes, ...report };
+			})
+		);
+	}
+
+	// Every worker's metrics merged into one snapshot; gauges are labelled
+	// with the worker's slot
+	async metrics() {
+		const entries = await Promise.all(
+			this.slots.map(async ({ worker }, slot) => {
+				if (!worker || !worker.isConnected()) return null;
+
+				const reply = await this.ask(worker, "metrics");
+				return reply && { worker: slot, snapshot: reply.snapshot };
+			})
+		);
+		return mergeSnapshots(entries.filter(Boolean));
+	}
+}
+
+// Worker side: answers the primary's health checks, metrics and shutdown
+// requests for `app`, an HTTPServer
+function connectWorker(app) {
+	process.on("message", (message) => {
+		if (!message || message.type !== MESSAGE_TYPE) return;
+
+		switch (message.action) {
+			case "shutdown":
+				app.shutdown().then(() => process.exit(0));
+				break;
+
+			case "health":
+				process.send({
+					type: MESSAGE_TYPE,
+					action: "health",
+					id: message.id,
+					report: {
+						status: app.draining ? "draining" : "healthy",
+						uptime: process.uptime(),
+						memory: process.memoryUsage().rss,
+						activeRequests: app.activeRequests.size,
+						connections: app.sockets.size,
+					},
+				});
+				break;
+
+			case "metrics": {
+				const snapshot = app.registry
+					? app.registry.snapshot()
+					: Promise.resolve([]);
+				snapshot.then((metrics) =>
+					process.send({
+						type: MESSAGE_TYPE,
+						action: "metrics",
+						id: message.id,
+						snapshot: metrics,
+					})
+				);
+				break;
+			}
+
+			// Replies to askPrimary()
+			case "cluster-health":
+			case "cluster-metrics": {
+				const request = primaryRequests.get(message.id);
+				if (request) request(message);
+				break;
+			}
+		}
+	});
+}
+
+const primaryRequests = new Map();
+let nextRequestId = 0;
+
+// Resolves to the primary's reply; null outside a cluster or if the primary
+// doesn't answer within `timeout` ms
+function askPrimary(action, timeout) {
+	if (!cluster.isWorker) return Promise.resolve(null);
+
+	return new Promise((resolve) => {
+		const id = ++nextRequestId;
+		const done = (reply) => {
+			clearTimeout(timer);
+			primaryRequests.delete(id);
+			resolve(reply);
+		};
+		const timer = setTimeout(() => done(null), timeout);
+
+		primaryRequests.set(id, done);
+		process.send({ type: MESSAGE_TYPE, action, id });
+	});
+}
+
+// Every worker's health, or null when not running as a cluster
+async function requestClusterHealth(timeout = 2000) {
+	const reply = await askPrimary("cluster-health", timeout);
+	return reply && reply.workers;
+}
+
+// A metrics snapshot merged across workers, or null when not running as a
+// cluster
+async function requestClusterMetrics(timeout = 2000) {
+	const reply = await askPrimary("cluster-metrics", timeout);
+	return reply && reply.snapshot;
+}
+
+module.exports = {
+	Supervisor,
+	connectWorker,
+	requestClusterHealth,
+	requestClusterMetrics,
+};
@@ -0,0 +1,497 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
+
+// Server side of the WebSocket protocol (RFC 6455)
+
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const OPCODES = {
+	CONTINUATION: 0x0,
+	TEXT: 0x1,
+	BINARY: 0x2,
+	CLOSE: 0x8,
+	PING: 0x9,
+	PONG: 0xa,
+};
+
+const CLOSE_CODES = {
+	NORMAL: 1000,
+	GOING_AWAY: 1001,
+	PROTOCOL_ERROR: 1002,
+	UNSUPPORTED_DATA: 1003,
+	NO_STATUS: 1005,
+	ABNORMAL: 1006,
+	INVALID_PAYLOAD: 1007,
+	POLICY_VIOLATION: 1008,
+	MESSAGE_TOO_BIG: 1009,
+	INTERNAL_ERROR: 1011,
+};
+
+const defaults = {
+	maxPayload: 1024 * 1024, // Bytes per message, after reassembly
+	heartbeatInterval: 30000, // Ping this often; drop peers that miss one
+	closeTimeout: 5000, // How long to wait for the peer's close frame
+	protocols: [], // Supported subprotocols, in order of preference
+};
+
+const utf8 = new TextDecoder("utf-8", { fatal: true });
+
+function closeError(code, message) {
+	const error = new Error(message);
+	error.closeCode = code;
+	return error;
+}
+
+function decodeText(buffer) {
+	try {
+		return utf8.decode(buffer);
+	} catch (error) {
+		throw closeError(CLOSE_CODES.INVALID_PAYLOAD, "Invalid UTF-8");
+	}
+}
+
+// Codes a close frame may carry; 1005 and 1006 are for reporting only
+function isValidCloseCode(code) {
+	return (
+		(code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) ||
+		(code >= 3000 && code <= 4999)
+	);
+}
+
+function isWebSocketUpgrade(req) {
+	return (req.headers.upgrade || "").toLowerCase() === "websocket";
+}
+
+// Returns null for a valid opening handshake, otherwise
+// { statusCode, message, headers } to refuse it with
+function checkHandshake(req) {
+	if (req.method !== "GET") {
+		return {
+			statusCode: 405,
+			message: "WebSocket handshakes must use GET",
+			headers: { Allow: "GET" },
+		};
+	}
+
+	if (!isWebSocketUpgrade(req)) {
+		return { statusCode: 400, message: "Expected Upgrade: websocket" };
+	}
+
+	if (req.headers["sec-websocket-version"] !== "13") {
+		return {
+			statusCode: 426,
+			message: "Unsupported WebSocket version",
+			headers: { "Sec-WebSocket-Version": "13" },
+		};
+	}
+
+	const key = req.headers["sec-websocket-key"] || "";
+	if (Buffer.from(key, "base64").length !== 16) {
+		return { statusCode: 400, message: "Invalid Sec-WebSocket-Key" };
+	}
+
+	return null;
+}
+
+// Completes the handshake on `socket` and returns the WebSocket. `headers`
+// are added to the 101 response, e.g. cookies set by middleware.
+function acceptWebSocket(req, socket, headers = {}, options = {}) {
+	const settings = { ...defaults, ...options };
+	const accept = crypto
+		.createHash("sha1")
+		.update(req.headers["sec-websocket-key"] + GUID)
+		.digest("base64");
+
+	// The first subprotocol we support, in our order of preference
+	const offered = (req.headers["sec-websocket-protocol"] || "")
+		.split(",")
+		.map((protocol) => protocol.trim());
+	const protocol =
+		settings.protocols.find((name) => offered.includes(name)) || "";
+
+	const lines = [
+		"HTTP/1.1 101 Switching Protocols",
+		"Upgrade: websocket",
+		"Connection: Upgrade",
+		`Sec-WebSocket-Accept: ${accept}`,
+	];
+	if (protocol) lines.push(`Sec-WebSocket-Protocol: ${protocol}`);
+
+	for (const [name, value] of Object.entries(headers)) {
+		[].concat(value).forEach((item) => lines.push(`${name}: ${item}`));
+	}
+
+	socket.write(lines.join("\r\n") + "\r\n\r\n");
+	return new WebSocket(socket, { ...settings, protocol });
+}
+
+// Events:
+//   message (data, isBinary)  data is a string for text messages
+//   close (code, reason)      code is 1006 if the peer never sent one
+//   drain                     the send buffer emptied after send() was false
+//   ping, pong (payload)
+//   error (error)             only emitted if there are listeners
+class WebSocket extends EventEmitter {
+	constructor(socket, options = {}) {
+		super();
+		this.socket = socket;
+		this.options = { ...defaults, ...options };
+		this.protocol = this.options.protocol || "";
+		this.readyState = WebSocket.OPEN;
+		this.buffer = Buffer.alloc(0);
+		this.fragments = null; // { opcode, chunks, size } of a partial message
+		this.closeCode = CLOSE_CODES.ABNORMAL;
+		this.closeReason = "";
+		this.isAlive = true;
+
+		socket.setTimeout(0);
+		socket.setNoDelay(true);
+
+		socket.on("data", (chunk) => this.receive(chunk));
+		socket.on("drain", () => this.emit("drain"));
+		// The peer went away without a close frame; finish our side too
+		socket.on("end", () => socket.end());
+		socket.on("close", () => this.onSocketClose());
+		socket.on("error", (error) => {
+			if (this.listenerCount("error") > 0) this.emit("error", error);
+		});
+
+		if (this.options.heartbeatInterval) {
+			this.heartbeat = setInterval(
+				() => this.checkAlive(),
+				this.options.heartbeatInterval
+			);
+			this.heartbeat.unref();
+		}
+	}
+
+	// Bytes queued on the socket but not yet sent
+	get bufferedAmount() {
+		return this.socket.writableLength;
+	}
+
+	// Sends a text message for strings, binary for buffers and JSON for
+	// anything else. Returns false when the socket's buffer is full; wait for
+	// "drain" (or the callback, called once this message is flushed) before
+	// sending more to a slow client.
+	send(data, callback) {
+		if (this.readyState !== WebSocket.OPEN) {
+			if (callback) {
+				process.nextTick(callback, new Error("WebSocket is not open"));
+			}
+			return false;
+		}
+
+		const isBinary = Buffer.isBuffer(data) || ArrayBuffer.isView(data);
+		const payload = isBinary
+			? Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+			: Buffer.from(typeof data === "string" ? data : JSON.stringify(data));
+
+		return this.sendFrame(
+			isBinary ? OPCODES.BINARY : OPCODES.TEXT,
+			payload,
+			callback
+		);
+	}
+
+	ping(data = "") {
+		if (this.readyState !== WebSocket.OPEN) return;
+		this.sendFrame(OPCODES.PING, Buffer.from(data));
+	}
+
+	// Starts the closing handshake; the socket is dropped if the peer doesn't
+	// answer within closeTimeout
+	close(code = CLOSE_CODES.NORMAL, reason = "") {
+		if (this.readyState !== WebSocket.OPEN) return;
+
+		if (!isValidCloseCode(code)) {
+			throw new Error(`Invalid close code ${code}`);
+		}
+
+		this.readyState = WebSocket.CLOSING;
+		this.sendFrame(OPCODES.CLOSE, this.closePayload(code, reason));
+
+		this.closeTimer = setTimeout(
+			() => this.socket.destroy(),
+			this.options.closeTimeout
+		);
+		this.closeTimer.unref();
+	}
+
+	// Drops the connection without a closing handshake
+	terminate() {
+		this.socket.destroy();
+	}
+
+	closePayload(code, reason) {
+		// Control frames carry at most 125 bytes
+		const reasonBuffer = Buffer.from(reason).subarray(0, 123);
+		const payload = Buffer.alloc(2 + reasonBuffer.length);
+		payload.writeUInt16BE(code, 0);
+		reasonBuffer.copy(payload, 2);
+		return payload;
+	}
+
+	sendFrame(opcode, payload, callback) {
+		const length = payload.length;
+		let header;
+
+		// Server frames are never masked
+		if (length < 126) {
+			header = Buffer.alloc(2);
+			header[1] = length;
+		} else if (length < 65536) {
+			header = Buffer.alloc(4);
+			header[1] = 126;
+			header.writeUInt16BE(length, 2);
+		} else {
+			header = Buffer.alloc(10);
+			header[1] = 127;
+			header.writeBigUInt64BE(BigInt(length), 2);
+		}
+		header[0] = 0x80 | opcode; // FIN, no extensions
+
+		this.socket.cork();
+		this.socket.write(header);
+		const flushed = this.socket.write(payload, callback);
+		this.socket.uncork();
+
+		return flushed;
+	}
+
+	checkAlive() {
+		// No pong (or any other frame) since the last ping
+		if (!this.isAlive) {
+			this.terminate();
+			return;
+		}
+
+		this.isAlive = false;
+		this.ping();
+	}
+
+	receive(chunk) {
+		// Anything after a close frame or a protocol error is ignored
+		if (this.closeFrameReceived || this.failed) return;
+
+		this.isAlive = true;
+		this.buffer = this.buffer.length
+			? Buffer.concat([this.buffer, chunk])
+			: chunk;
+
+		try {
+			while (!this.closeFrameReceived && this.readFrame()) {
+				// Keep going while whole frames are buffered
+			}
+		} catch (error) {
+			if (error.closeCode) {
+				this.fail(error.closeCode, error.message);
+				return;
+			}
+
+			// Thrown by a message listener rather than a bad frame
+			console.error("WebSocket Error:", error);
+			this.fail(CLOSE_CODES.INTERNAL_ERROR, "Internal Server Error");
+		}
+	}
+
+	// Parses one frame off the buffer; returns false if it isn't complete yet
+	readFrame() {
+		const buffer = this.buffer;
+		if (buffer.length < 2) return false;
+
+		const fin = (buffer[0] & 0x80) !== 0;
+		const opcode = buffer[0] & 0x0f;
+		const masked = (buffer[1] & 0x80) !== 0;
+		let length = buffer[1] & 0x7f;
+		let offset = 2;
+
+		// No extensions are negotiated, so the reserved bits must be clear
+		if (buffer[0] & 0x70) {
+			throw closeError(CLOSE_CODES.PROTOCOL_ERROR, "Reserved bits set");
+		}
+		if (!masked) {
+			throw closeError(
+				CLOSE_CODES.PROTOCOL_ERROR,
+				"Client frames must be masked"
+			);
+		}
+
+		if (length === 126) {
+			if (buffer.length < 4) return false;
+			length = buffer.readUInt16BE(2);
+			offset = 4;
+		} else if (length === 127) {
+			if (buffer.length < 10) return false;
+			const bigLength = buffer.readBigUInt64BE(2);
+			length =
+				bigLength > BigInt(Number.MAX_SAFE_INTEGER)
+					? Infinity
+					: Number(bigLength);
+			offset = 10;
+		}
+
+		if (opcode >= OPCODES.CLOSE && (!fin || length > 125)) {
+			throw closeError(
+				CLOSE_CODES.PROTOCOL_ERROR,
+				"Control frames must be whole and at most 125 bytes"
+			);
+		}
+
+		// Refuse oversized messages before buffering them
+		const pending = this.fragments ? this.fragments.size : 0;
+		if (opcode < OPCODES.CLOSE && pending + length > this.options.maxPayload) {
+			throw closeError(CLOSE_CODES.MESSAGE_TOO_BIG, "Message too big");
+		}
+
+		const start = offset + 4;
+		if (buffer.length < start + length) return false;
+
+		const mask = buffer.subarray(offset, start);
+		const payload = Buffer.from(buffer.subarray(start, start + length));
+		for (let i = 0; i < payload.length; i++) {
+			payload[i] ^= mask[i & 3];
+		}
+
+		this.buffer = buffer.subarray(start + length);
+		this.handleFrame(fin, opcode, payload);
+		return true;
+	}
+
+	handleFrame(fin, opcode, payload) {
+		switch (opcode) {
+			case OPCODES.TEXT:
+			case OPCODES.BINARY:
+				if (this.fragments) {
+					throw closeError(
+						CLOSE_CODES.PROTOCOL_ERROR,
+						"Expected a continuation frame"
+					);
+				}
+				if (fin) {
+					this.emitMessage(opcode, payload);
+				} else {
+					this.fragments = {
+						opcode,
+						chunks: [payload],
+						size: payload.length,
+					};
+				}
+				return;
+
+			case OPCODES.CONTINUATION: {
+				if (!this.fragments) {
+					throw closeError(
+						CLOSE_CODES.PROTOCOL_ERROR,
+						"Unexpected continuation frame"
+					);
+				}
+				this.fragments.chunks.push(payload);
+				this.fragments.size += payload.length;
+
+				if (fin) {
+					const { opcode: messageOpcode, chunks } = this.fragments;
+					this.fragments = null;
+					this.emitMessage(messageOpcode, Buffer.concat(chunks));
+				}
+				return;
+			}
+
+			case OPCODES.PING:
+				if (this.readyState === WebSocket.OPEN) {
+					this.sendFrame(OPCODES.PONG, payload);
+				}
+				this.emit("ping", payload);
+				return;
+
+			case OPCODES.PONG:
+				this.emit("pong", payload);
+				return;
+
+			case OPCODES.CLOSE:
+				this.receiveClose(payload);
+				return;
+
+			default:
+				throw closeError(
+					CLOSE_CODES.PROTOCOL_ERROR,
+					`Unknown opcode ${opcode}`
+				);
+		}
+	}
+
+	emitMessage(opcode, payload) {
+		if (opcode === OPCODES.TEXT) {
+			this.emit("message", decodeText(payload), false);
+		} else {
+			this.emit("message", payload, true);
+		}
+	}
+
+	receiveClose(payload) {
+		let code = CLOSE_CODES.NO_STATUS;
+		let reason = "";
+
+		if (payload.length === 1) {
+			throw closeError(CLOSE_CODES.PROTOCOL_ERROR, "Invalid close frame");
+		}
+		if (payload.length >= 2) {
+			code = payload.readUInt16BE(0);
+			if (!isValidCloseCode(code)) {
+				throw closeError(
+					CLOSE_CODES.PROTOCOL_ERROR,
+					`Invalid close code ${code}`
+				);
+			}
+			reason = decodeText(payload.subarray(2));
+		}
+
+		this.closeFrameReceived = true;
+		this.closeCode = code;
+		this.closeReason = reason;
+
+		// Echo the peer's close unless we started the handshake
+		if (this.readyState === WebSocket.OPEN) {
+			this.readyState = WebSocket.CLOSING;
+			this.sendFrame(OPCODES.CLOSE, payload.subarray(0, 2));
+		}
+
+		// The server closes the TCP connection first (RFC 6455 7.1.1)
+		this.socket.end();
+	}
+
+	// Fails the connection after a protocol error (RFC 6455 7.1.7)
+	fail(code, reason) {
+		this.failed = true;
+		this.closeCode = code;
+		this.closeReason = reason;
+
+		if (this.readyState === WebSocket.OPEN) {
+			this.readyState = WebSocket.CLOSING;
+			this.sendFrame(OPCODES.CLOSE, this.closePayload(code, reason));
+		}
+
+		this.socket.end();
+	}
+
+	onSocketClose() {
+		clearInterval(this.heartbeat);
+		clearTimeout(this.closeTimer);
+
+		this.readyState = WebSocket.CLOSED;
+		this.emit("close", this.closeCode, this.closeReason);
+	}
+}
+
+WebSocket.CONNECTING = 0;
+WebSocket.OPEN = 1;
+WebSocket.CLOSING = 2;
+WebSocket.CLOSED = 3;
+
+module.exports = {
+	WebSocket,
+	CLOSE_CODES,
+	checkHandshake,
+	acceptWebSocket,
+	isWebSocketUpgrade,
+};